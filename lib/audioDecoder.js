@@ -0,0 +1,141 @@
+// Server-side audio decoding to mono float samples, for analysis such as
+// lyric alignment. Each decoder recognises its format from the file header,
+// so more formats can be added to the decoders list without changing callers.
+
+// WAV format codes from the fmt chunk
+const wavPcm = 1;
+const wavFloat = 3;
+const wavExtensible = 0xfffe;
+
+function isWav(buffer) {
+  return buffer.length >= 12 &&
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+// Read one sample as a float in [-1, 1]
+function readWavSample(buffer, offset, bitsPerSample, isFloat) {
+  if (isFloat) {
+    return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+  }
+  switch (bitsPerSample) {
+    case 8: return (buffer.readUInt8(offset) - 128) / 128; // 8-bit WAV is unsigned
+    case 16: return buffer.readInt16LE(offset) / 32768;
+    case 24: return buffer.readIntLE(offset, 3) / 8388608;
+    case 32: return buffer.readInt32LE(offset) / 2147483648;
+  }
+  return 0;
+}
+
+// Walk the RIFF chunks for the fmt fields and where the samples are.
+// Returns { format, data: { start, end } }.
+function readWavHeader(buffer) {
+  let format = null;
+  let data = null;
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      let formatCode = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real code at the start of its sub-format GUID
+      if (formatCode === wavExtensible && chunkSize >= 26) {
+        formatCode = buffer.readUInt16LE(body + 24);
+      }
+      format = {
+        formatCode: formatCode,
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+    } else if (chunkId === 'data') {
+      // Streamed files may claim more data than was written
+      data = { start: body, end: Math.min(buffer.length, body + chunkSize) };
+    }
+
+    // Chunks are padded to an even length
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format || !data) {
+    throw new Error('WAV file is missing its fmt or data chunk');
+  }
+  return { format: format, data: data };
+}
+
+// RIFF/WAVE with integer PCM (8, 16, 24 or 32 bit) or float samples;
+// channels are averaged down to mono
+function decodeWav(buffer) {
+  const { format, data } = readWavHeader(buffer);
+  if (format.formatCode !== wavPcm && format.formatCode !== wavFloat) {
+    throw new Error(`Unsupported WAV encoding (format code ${format.formatCode}); only PCM and float are decoded`);
+  }
+  if (![8, 16, 24, 32, 64].includes(format.bitsPerSample) || format.channels < 1) {
+    throw new Error(`Unsupported WAV layout: ${format.channels} channels of ${format.bitsPerSample}-bit samples`);
+  }
+
+  const isFloat = format.formatCode === wavFloat;
+  const bytesPerSample = format.bitsPerSample / 8;
+  const frameSize = bytesPerSample * format.channels;
+  const frameCount = Math.floor((data.end - data.start) / frameSize);
+  const samples = new Float32Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    const frameStart = data.start + i * frameSize;
+    let sum = 0;
+    for (let channel = 0; channel < format.channels; channel++) {
+      sum += readWavSample(buffer, frameStart + channel * bytesPerSample, format.bitsPerSample, isFloat);
+    }
+    samples[i] = sum / format.channels;
+  }
+
+  return { format: 'wav', sampleRate: format.sampleRate, samples: samples };
+}
+
+// Length and rate from the header alone, without decoding the samples
+function probeWav(buffer) {
+  const { format, data } = readWavHeader(buffer);
+  const frameSize = (format.bitsPerSample / 8) * format.channels;
+  return {
+    format: 'wav',
+    sampleRate: format.sampleRate,
+    duration: frameSize > 0 ? (data.end - data.start) / frameSize / format.sampleRate : 0
+  };
+}
+
+const decoders = [
+  { name: 'wav', matches: isWav, decode: decodeWav, probe: probeWav }
+];
+
+// Decode a whole audio file. Returns { format, sampleRate, samples } with
+// samples a mono Float32Array, or throws for formats no decoder handles.
+function decodeAudio(buffer) {
+  const decoder = decoders.find(item => item.matches(buffer));
+  if (!decoder) {
+    throw new Error(`Audio format not supported for analysis. Supported: ${decoders.map(item => item.name).join(', ')}`);
+  }
+  return decoder.decode(buffer);
+}
+
+// { format, sampleRate, duration } for a file a decoder understands, else
+// null; cheap enough to call on every upload
+function probeAudio(buffer) {
+  const decoder = decoders.find(item => item.matches(buffer));
+  if (!decoder) return null;
+
+  try {
+    return decoder.probe(buffer);
+  } catch (error) {
+    console.log('Could not read audio header:', error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  decodeAudio,
+  probeAudio,
+  decoders
+};
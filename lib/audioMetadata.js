@@ -0,0 +1,474 @@
+const { probeAudio } = require('./audioDecoder');
+
+// Tags from uploaded audio: title, artist, album, duration and embedded
+// artwork. Reads ID3v2/ID3v1 (MP3), MP4/M4A atoms, Vorbis comments (Ogg
+// Vorbis, Opus and FLAC) and WAV INFO chunks, all from the file buffer.
+// A damaged tag never fails an upload; whatever could be read is returned.
+
+// ID3 frame ids for the fields we keep, for v2.3/v2.4 and the 3-letter v2.2
+const id3Frames = {
+  TIT2: 'title', TPE1: 'artist', TALB: 'album', TLEN: 'length',
+  TT2: 'title', TP1: 'artist', TAL: 'album', TLE: 'length'
+};
+
+// Front cover comes first when a file carries several pictures
+const frontCover = 3;
+
+// A damaged frame, atom or block is skipped rather than costing the tags
+// read before and after it
+function readPart(description, read) {
+  try {
+    read();
+  } catch (error) {
+    console.log(`Skipping damaged ${description}:`, error.message);
+  }
+}
+
+function syncsafe(buffer, offset) {
+  return ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
+}
+
+// ID3 text encodings: 0 Latin-1, 1 UTF-16 with BOM, 2 UTF-16BE, 3 UTF-8
+function decodeId3Text(buffer, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    let bytes = Buffer.from(buffer.slice(0, buffer.length - (buffer.length % 2)));
+    let bigEndian = encoding === 2;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+      bigEndian = true;
+      bytes = bytes.slice(2);
+    } else if (bytes[0] === 0xff && bytes[1] === 0xfe) {
+      bytes = bytes.slice(2);
+    }
+    if (bigEndian) bytes.swap16();
+    return bytes.toString('utf16le');
+  }
+  return buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+}
+
+// v2.4 allows several values split by nulls; the first one is enough
+function firstValue(text) {
+  return text.split('\0')[0].trim();
+}
+
+// Where a null-terminated string ends in an ID3 frame (two zero bytes,
+// aligned, for UTF-16). Returns the index just past the terminator.
+function skipId3String(buffer, start, encoding) {
+  if (encoding === 1 || encoding === 2) {
+    for (let i = start; i + 1 < buffer.length; i += 2) {
+      if (buffer[i] === 0 && buffer[i + 1] === 0) return i + 2;
+    }
+    return buffer.length;
+  }
+  const end = buffer.indexOf(0, start);
+  return end === -1 ? buffer.length : end + 1;
+}
+
+// APIC (v2.3/v2.4) or PIC (v2.2) frame body -> { type, mimeType, data }
+function readId3Picture(body, isV22) {
+  const encoding = body[0];
+  let offset = 1;
+  let mimeType;
+
+  if (isV22) {
+    const format = body.toString('latin1', 1, 4).toUpperCase();
+    mimeType = format === 'PNG' ? 'image/png' : 'image/jpeg';
+    offset = 4;
+  } else {
+    const end = skipId3String(body, 1, 0);
+    mimeType = body.toString('latin1', 1, end - 1).toLowerCase() || 'image/jpeg';
+    if (!mimeType.includes('/')) mimeType = `image/${mimeType === 'jpg' ? 'jpeg' : mimeType}`;
+    offset = end;
+  }
+
+  const type = body[offset];
+  offset = skipId3String(body, offset + 1, encoding);
+  return { type: type, mimeType: mimeType, data: Buffer.from(body.slice(offset)) };
+}
+
+// Returns { tags, end } where end is the byte after the tag (where the
+// audio starts), or null when the buffer does not start with ID3v2
+function readId3v2(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return null;
+
+  const version = buffer[3];
+  const flags = buffer[5];
+  const size = syncsafe(buffer, 6);
+  const end = Math.min(buffer.length, 10 + size + (flags & 0x10 ? 10 : 0));
+  const tags = {};
+  const pictures = [];
+
+  let offset = 10;
+  if (flags & 0x40) {
+    // Extended header: v2.4 counts its own size, v2.3 does not
+    offset += version >= 4 ? syncsafe(buffer, 10) : buffer.readUInt32BE(10) + 4;
+  }
+
+  const isV22 = version === 2;
+  const headerSize = isV22 ? 6 : 10;
+  while (offset + headerSize <= end) {
+    const id = buffer.toString('latin1', offset, offset + (isV22 ? 3 : 4));
+    if (!/^[A-Z0-9]+$/.test(id)) break; // padding
+
+    let frameSize;
+    if (isV22) {
+      frameSize = buffer.readUIntBE(offset + 3, 3);
+    } else {
+      frameSize = version >= 4 ? syncsafe(buffer, offset + 4) : buffer.readUInt32BE(offset + 4);
+    }
+    const body = buffer.slice(offset + headerSize, Math.min(end, offset + headerSize + frameSize));
+    offset += headerSize + frameSize;
+    if (body.length === 0) continue;
+
+    readPart(`ID3 ${id} frame`, () => {
+      if (id3Frames[id]) {
+        tags[id3Frames[id]] = firstValue(decodeId3Text(body.slice(1), body[0]));
+      } else if (id === 'APIC' || id === 'PIC') {
+        pictures.push(readId3Picture(body, isV22));
+      }
+    });
+  }
+
+  if (tags.length) {
+    const milliseconds = parseInt(tags.length, 10);
+    if (milliseconds > 0) tags.duration = milliseconds / 1000;
+  }
+  delete tags.length;
+
+  const picture = pictures.find(item => item.type === frontCover) || pictures[0];
+  if (picture && picture.data.length > 0) {
+    tags.artwork = { mimeType: picture.mimeType, data: picture.data };
+  }
+
+  return { tags: tags, end: end };
+}
+
+// The 128-byte ID3v1 block at the end of the file
+function readId3v1(buffer) {
+  if (buffer.length < 128) return null;
+  const start = buffer.length - 128;
+  if (buffer.toString('latin1', start, start + 3) !== 'TAG') return null;
+
+  const field = (offset, length) => firstValue(buffer.toString('latin1', start + offset, start + offset + length));
+  return { title: field(3, 30), artist: field(33, 30), album: field(63, 30) };
+}
+
+// MPEG audio frame header tables (kbps and Hz)
+const mpegBitrates = {
+  'V1L1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  'V1L2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  'V1L3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  'V2L1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  'V2L2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  'V2L3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const mpegSampleRates = { 3: [44100, 48000, 32000], 2: [22050, 24000, 16000], 0: [11025, 12000, 8000] };
+
+// Duration of an MP3 from its first frame: exact when a Xing/Info or VBRI
+// header gives the frame count, else estimated from the bitrate (right for
+// constant-bitrate files)
+function mp3Duration(buffer, audioStart) {
+  const audioEnd = buffer.length - (readId3v1(buffer) ? 128 : 0);
+
+  for (let offset = audioStart; offset + 4 <= Math.min(audioEnd, audioStart + 65536); offset++) {
+    if (buffer[offset] !== 0xff || (buffer[offset + 1] & 0xe0) !== 0xe0) continue;
+
+    const versionBits = (buffer[offset + 1] >> 3) & 0x03;
+    const layerBits = (buffer[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const rateIndex = (buffer[offset + 2] >> 2) & 0x03;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) continue;
+
+    const layer = 4 - layerBits;
+    const table = `${versionBits === 3 ? 'V1' : 'V2'}L${layer}`;
+    const bitrate = mpegBitrates[table][bitrateIndex] * 1000;
+    const sampleRate = mpegSampleRates[versionBits][rateIndex];
+    const samplesPerFrame = layer === 1 ? 384 : layer === 3 && versionBits !== 3 ? 576 : 1152;
+    const mono = (buffer[offset + 3] >> 6) === 3;
+
+    const sideInfo = versionBits === 3 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+    const xing = offset + 4 + sideInfo;
+    let frames = null;
+    if (xing + 12 <= buffer.length && /^(Xing|Info)$/.test(buffer.toString('latin1', xing, xing + 4))) {
+      if (buffer.readUInt32BE(xing + 4) & 0x01) frames = buffer.readUInt32BE(xing + 8);
+    } else if (offset + 54 <= buffer.length && buffer.toString('latin1', offset + 36, offset + 40) === 'VBRI') {
+      frames = buffer.readUInt32BE(offset + 50);
+    }
+
+    if (frames) return frames * samplesPerFrame / sampleRate;
+    return (audioEnd - offset) * 8 / bitrate;
+  }
+  return null;
+}
+
+function readMp3(buffer, tags) {
+  const id3 = readId3v2(buffer);
+  Object.assign(tags, readId3v1(buffer), id3 ? id3.tags : {});
+  if (!tags.duration) {
+    tags.duration = mp3Duration(buffer, id3 ? id3.end : 0);
+  }
+}
+
+// MP4 boxes: size, type, and where the body starts and ends
+function readBoxes(buffer, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let header = 8;
+    if (size === 1 && offset + 16 <= end) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      header = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < header) break;
+
+    boxes.push({ type: type, start: offset + header, end: Math.min(end, offset + size) });
+    offset += size;
+  }
+  return boxes;
+}
+
+function findBox(buffer, boxes, path) {
+  let box = null;
+  for (const type of path) {
+    box = boxes.find(item => item.type === type);
+    if (!box) return null;
+    // meta is a full box: four bytes of version and flags before its children
+    const childStart = box.type === 'meta' && buffer.readUInt32BE(box.start) === 0 ? box.start + 4 : box.start;
+    boxes = readBoxes(buffer, childStart, box.end);
+  }
+  return { box: box, children: boxes };
+}
+
+// ilst item -> payload of its data box, with the data type code
+function mp4ItemData(buffer, item) {
+  const data = readBoxes(buffer, item.start, item.end).find(box => box.type === 'data');
+  if (!data || data.end - data.start < 8) return null;
+  return { type: buffer.readUInt32BE(data.start) & 0xffffff, value: buffer.slice(data.start + 8, data.end) };
+}
+
+function readMp4(buffer, tags) {
+  const top = readBoxes(buffer, 0, buffer.length);
+
+  const moov = findBox(buffer, top, ['moov']);
+  const mvhd = moov && moov.children.find(box => box.type === 'mvhd');
+  if (mvhd) {
+    readPart('mvhd atom', () => {
+      const version = buffer[mvhd.start];
+      const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+      const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+        : buffer.readUInt32BE(mvhd.start + 16);
+      if (timescale > 0) tags.duration = duration / timescale;
+    });
+  }
+
+  const ilst = findBox(buffer, top, ['moov', 'udta', 'meta', 'ilst']);
+  const fields = { '©nam': 'title', '©ART': 'artist', 'aART': 'artist', '©alb': 'album' };
+  for (const item of ilst ? ilst.children : []) {
+    readPart(`${item.type} atom`, () => {
+      const data = mp4ItemData(buffer, item);
+      if (!data) return;
+
+      if (fields[item.type] && !tags[fields[item.type]]) {
+        tags[fields[item.type]] = data.value.toString('utf8').trim();
+      } else if (item.type === 'covr' && !tags.artwork) {
+        // Data type 14 is PNG, 13 (or anything else) JPEG
+        tags.artwork = { mimeType: data.type === 14 ? 'image/png' : 'image/jpeg', data: Buffer.from(data.value) };
+      }
+    });
+  }
+}
+
+// FLAC METADATA_BLOCK_PICTURE layout, also base64'd into Vorbis comments
+function readFlacPicture(block) {
+  let offset = 4;
+  const mimeLength = block.readUInt32BE(offset);
+  const mimeType = block.toString('latin1', offset + 4, offset + 4 + mimeLength);
+  offset += 4 + mimeLength;
+  offset += 4 + block.readUInt32BE(offset); // description
+  offset += 16; // width, height, depth, colours
+  const length = block.readUInt32BE(offset);
+  return {
+    type: block.readUInt32BE(0),
+    mimeType: mimeType || 'image/jpeg',
+    data: Buffer.from(block.slice(offset + 4, offset + 4 + length))
+  };
+}
+
+// Vorbis comment list (after any packet magic): little-endian lengths,
+// KEY=value strings with case-insensitive keys. Fills in tags.
+function readVorbisComments(buffer, start, tags) {
+  let offset = start;
+  offset += 4 + buffer.readUInt32LE(offset); // vendor
+  const count = buffer.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(offset);
+    const comment = buffer.toString('utf8', offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    const separator = comment.indexOf('=');
+    const key = comment.slice(0, separator).toUpperCase();
+    const value = comment.slice(separator + 1);
+    if (key === 'TITLE' && !tags.title) tags.title = value.trim();
+    if (key === 'ARTIST' && !tags.artist) tags.artist = value.trim();
+    if (key === 'ALBUM' && !tags.album) tags.album = value.trim();
+    if (key === 'METADATA_BLOCK_PICTURE') {
+      readPart('Vorbis picture comment', () => {
+        const picture = readFlacPicture(Buffer.from(value, 'base64'));
+        if (!tags.artwork || picture.type === frontCover) {
+          tags.artwork = { mimeType: picture.mimeType, data: picture.data };
+        }
+      });
+    }
+  }
+}
+
+function readFlac(buffer, tags) {
+  let offset = 4;
+  let last = false;
+
+  while (!last && offset + 4 <= buffer.length) {
+    last = (buffer[offset] & 0x80) !== 0;
+    const type = buffer[offset] & 0x7f;
+    const length = buffer.readUIntBE(offset + 1, 3);
+    const block = buffer.slice(offset + 4, offset + 4 + length);
+    offset += 4 + length;
+
+    readPart(`FLAC metadata block ${type}`, () => {
+      if (type === 0 && block.length >= 18) {
+        const sampleRate = (block[10] << 12) | (block[11] << 4) | (block[12] >> 4);
+        const totalSamples = (block[13] & 0x0f) * 0x100000000 + block.readUInt32BE(14);
+        if (sampleRate > 0 && totalSamples > 0) tags.duration = totalSamples / sampleRate;
+      } else if (type === 4) {
+        readVorbisComments(block, 0, tags);
+      } else if (type === 6 && !tags.artwork) {
+        const picture = readFlacPicture(block);
+        tags.artwork = { mimeType: picture.mimeType, data: picture.data };
+      }
+    });
+  }
+}
+
+// Ogg pages -> the first `count` packets of the stream
+function readOggPackets(buffer, count) {
+  const packets = [];
+  let current = [];
+  let offset = 0;
+
+  while (packets.length < count && offset + 27 <= buffer.length && buffer.toString('latin1', offset, offset + 4) === 'OggS') {
+    const segments = buffer[offset + 26];
+    let dataOffset = offset + 27 + segments;
+    for (let i = 0; i < segments; i++) {
+      const lacing = buffer[offset + 27 + i];
+      current.push(buffer.slice(dataOffset, dataOffset + lacing));
+      dataOffset += lacing;
+      // A lacing value under 255 ends the packet
+      if (lacing < 255) {
+        packets.push(Buffer.concat(current));
+        current = [];
+        if (packets.length === count) break;
+      }
+    }
+    offset = dataOffset;
+  }
+  return packets;
+}
+
+function readOgg(buffer, tags) {
+  const [head, comments] = readOggPackets(buffer, 2);
+  if (!head || !comments) return;
+
+  let sampleRate = null;
+  let preSkip = 0;
+  if (head.toString('latin1', 1, 7) === 'vorbis') {
+    sampleRate = head.readUInt32LE(12);
+    readPart('Vorbis comment header', () => readVorbisComments(comments, 7, tags));
+  } else if (head.toString('latin1', 0, 8) === 'OpusHead') {
+    // Opus granule positions always count 48 kHz samples
+    sampleRate = 48000;
+    preSkip = head.readUInt16LE(10);
+    readPart('Opus comment header', () => readVorbisComments(comments, 8, tags));
+  }
+
+  // The last page's granule position is the stream length in samples
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (sampleRate && lastPage !== -1 && lastPage + 14 <= buffer.length) {
+    const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+    if (granule > 0) tags.duration = (granule - preSkip) / sampleRate;
+  }
+}
+
+// RIFF LIST/INFO chunk fields, plus an embedded "id3 " chunk if present
+function readWav(buffer, tags) {
+  const info = { INAM: 'title', IART: 'artist', IPRD: 'album' };
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    readPart(`WAV ${id} chunk`, () => {
+      if (id === 'LIST' && buffer.toString('latin1', body, body + 4) === 'INFO') {
+        let item = body + 4;
+        while (item + 8 <= Math.min(buffer.length, body + size)) {
+          const itemId = buffer.toString('latin1', item, item + 4);
+          const itemSize = buffer.readUInt32LE(item + 4);
+          if (info[itemId]) {
+            tags[info[itemId]] = firstValue(buffer.toString('utf8', item + 8, item + 8 + itemSize));
+          }
+          item += 8 + itemSize + (itemSize % 2);
+        }
+      } else if (id === 'id3 ' || id === 'ID3 ') {
+        const id3 = readId3v2(buffer.slice(body, body + size));
+        if (id3) Object.assign(tags, id3.tags);
+      }
+    });
+
+    offset = body + size + (size % 2);
+  }
+
+  const audio = probeAudio(buffer);
+  if (audio) tags.duration = audio.duration;
+}
+
+const readers = [
+  { format: 'wav', matches: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WAVE', read: readWav },
+  { format: 'flac', matches: buffer => buffer.toString('latin1', 0, 4) === 'fLaC', read: readFlac },
+  { format: 'ogg', matches: buffer => buffer.toString('latin1', 0, 4) === 'OggS', read: readOgg },
+  { format: 'mp4', matches: buffer => buffer.toString('latin1', 4, 8) === 'ftyp', read: readMp4 },
+  // Last: MP3s start with an ID3 tag or straight with a frame sync
+  { format: 'mp3', matches: buffer => buffer.toString('latin1', 0, 3) === 'ID3' || (buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0), read: readMp3 }
+];
+
+// Read the tags of an audio file. Returns { format, title, artist, album,
+// duration, artwork } where missing fields are null and artwork is
+// { mimeType, data } with data a Buffer. Readers fill in tags as they go,
+// so a file damaged part way still gives what came before the damage.
+function readAudioMetadata(buffer) {
+  const result = { format: null, title: null, artist: null, album: null, duration: null, artwork: null };
+  const reader = readers.find(item => item.matches(buffer));
+  if (!reader) return result;
+
+  result.format = reader.format;
+  const tags = {};
+  try {
+    reader.read(buffer, tags);
+  } catch (error) {
+    console.log(`Could not read all ${reader.format} tags:`, error.message);
+  }
+  for (const field of ['title', 'artist', 'album', 'duration', 'artwork']) {
+    if (tags[field]) result[field] = tags[field];
+  }
+  return result;
+}
+
+module.exports = {
+  readAudioMetadata
+};
@@ -0,0 +1,294 @@
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+const songStore = require('./songStore');
+const documentStore = require('./documentStore');
+const { readStorageConfig, createStorage } = require('./storage');
+
+// The stored files songs use, kept by the configured storage driver.
+// Identical uploads are stored once and shared between songs through a
+// content-hash index, so whether a file may be deleted depends on the whole
+// catalog: reference counts come from songStore.fileReferences(), and only
+// files nothing references are ever removed. Also keeps the library's
+// storage quota.
+const storage = createStorage(readStorageConfig(process.env));
+const settingsPath = documentStore.documentPath('storage.json');
+
+// Files this new are never swept: an upload in progress is stored before
+// its song is in the catalog
+const defaultMinAge = 60 * 60; // seconds
+
+// File hash storage, rebuilt from the stored files at startup
+const fileHashes = new Map(); // hash -> { filename, originalName, uploadDate }
+
+let settings = { quotaBytes: null };
+
+// Function to calculate a content hash
+function calculateHash(content) {
+  const hashSum = crypto.createHash('sha256');
+  hashSum.update(content);
+  return hashSum.digest('hex');
+}
+
+// Function to register a new file
+function registerFile(filename, originalName, hash) {
+  const fileInfo = {
+    filename: filename,
+    originalName: originalName,
+    uploadDate: new Date().toISOString(),
+    hash: hash
+  };
+
+  fileHashes.set(hash, fileInfo);
+  console.log(`Registered new file: ${fileInfo.filename} (hash: ${hash})`);
+  return fileInfo;
+}
+
+// Keep content as filename, unless an identical file is stored already.
+// Resolves with { filename, duplicate } where filename is the one to use and
+// duplicate the existing file's hash entry, or null when content was stored.
+async function storeFile(content, filename, originalName) {
+  const hash = calculateHash(content);
+
+  // Check if we already have a file with this hash
+  const duplicate = fileHashes.get(hash);
+  if (duplicate) {
+    console.log(`Duplicate detected! Hash: ${hash}, Existing file: ${duplicate.filename}`);
+    return { filename: duplicate.filename, duplicate: duplicate };
+  }
+
+  await storage.put(filename, content, { metadata: { sha256: hash } });
+  registerFile(filename, originalName, hash);
+  return { filename: filename, duplicate: null };
+}
+
+// Whether a name from a request could be a stored file at all: a plain
+// filename, and not one of the hidden temp files drivers write first
+function isStoredName(filename) {
+  return !!filename && path.basename(filename) === filename && !filename.startsWith('.');
+}
+
+function readFile(filename) {
+  return storage.get(filename);
+}
+
+function statFile(filename) {
+  return storage.stat(filename);
+}
+
+// range: { start, end } in bytes, both inclusive
+function openStream(filename, range) {
+  return storage.stream(filename, range);
+}
+
+// Hash everything already stored (called once at startup, after the song
+// catalog is loaded so original names can be restored). Drivers that keep
+// the hash with the file save reading it back.
+async function initializeFileHashes() {
+  try {
+    let registeredCount = 0;
+
+    for (const file of await storage.list()) {
+      const stats = await storage.stat(file.filename);
+      const hash = (stats && stats.metadata.sha256) || calculateHash(await storage.get(file.filename));
+      if (!fileHashes.has(hash)) {
+        const fileInfo = {
+          filename: file.filename,
+          // Fall back to the stored name for files no song remembers
+          originalName: songStore.findOriginalName(file.filename) || file.filename,
+          uploadDate: new Date(file.modified).toISOString(),
+          hash: hash
+        };
+        fileHashes.set(hash, fileInfo);
+        registeredCount++;
+      }
+    }
+
+    console.log(`Initialized file hash storage with ${registeredCount} existing files`);
+  } catch (error) {
+    console.error('Error initializing file hashes:', error);
+  }
+}
+
+// Load the quota setting (called once at startup)
+function loadSettings() {
+  if (!fs.existsSync(settingsPath)) return settings;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    settings = { quotaBytes: data.quotaBytes > 0 ? data.quotaBytes : null };
+  } catch (error) {
+    console.error('Error loading storage settings:', error);
+  }
+  return settings;
+}
+
+function saveSettings() {
+  documentStore.writeDocument('storage.json', settings);
+}
+
+function getQuota() {
+  return settings.quotaBytes;
+}
+
+// Cap on the bytes in uploads/; null or 0 lifts it
+function setQuota(bytes) {
+  settings.quotaBytes = bytes > 0 ? Math.floor(bytes) : null;
+  saveSettings();
+  return settings.quotaBytes;
+}
+
+function indexedByFilename() {
+  const index = new Map();
+  for (const info of fileHashes.values()) {
+    index.set(info.filename, info);
+  }
+  return index;
+}
+
+// Every stored file with its size and the songs using it
+async function listStoredFiles() {
+  const index = indexedByFilename();
+  const references = songStore.fileReferences();
+  return (await storage.list()).map(file => {
+    const info = index.get(file.filename);
+    return {
+      filename: file.filename,
+      originalName: info ? info.originalName : file.filename,
+      uploadDate: info ? info.uploadDate : new Date(file.modified).toISOString(),
+      modified: file.modified,
+      size: file.size,
+      hash: info ? info.hash : null,
+      references: references.get(file.filename) || []
+    };
+  });
+}
+
+// Totals for the storage report
+async function getUsage() {
+  const files = await listStoredFiles();
+  const sum = list => list.reduce((total, file) => total + file.size, 0);
+  const orphaned = files.filter(file => file.references.length === 0);
+  const usedBytes = sum(files);
+
+  return {
+    files: files,
+    totalFiles: files.length,
+    usedBytes: usedBytes,
+    orphanedFiles: orphaned.length,
+    orphanedBytes: sum(orphaned),
+    quotaBytes: settings.quotaBytes,
+    availableBytes: settings.quotaBytes ? Math.max(0, settings.quotaBytes - usedBytes) : null
+  };
+}
+
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+// Whether newly uploaded files (multer file objects, staged on local disk)
+// fit in the quota. Files identical to a stored one cost nothing, as they
+// are about to be dropped for it. Resolves with an error message, or null.
+async function checkQuota(uploadedFiles) {
+  if (!settings.quotaBytes) return null;
+
+  const usedBytes = (await storage.list()).reduce((total, file) => total + file.size, 0);
+  const incomingBytes = uploadedFiles
+    .filter(file => !fileHashes.has(calculateHash(fs.readFileSync(file.path))))
+    .reduce((total, file) => total + file.size, 0);
+
+  if (usedBytes + incomingBytes <= settings.quotaBytes) return null;
+  return `Storage quota exceeded: ${formatSize(usedBytes)} of ${formatSize(settings.quotaBytes)} in use, ` +
+    `this upload needs ${formatSize(incomingBytes)} more`;
+}
+
+// Delete a stored file and drop it from the hash index
+async function unlinkStored(filename) {
+  await storage.delete(filename);
+  for (const [hash, info] of fileHashes) {
+    if (info.filename === filename) fileHashes.delete(hash);
+  }
+  console.log(`Removed stored file: ${filename}`);
+}
+
+// Delete those of the given files that no song references any more, e.g.
+// after a song was deleted. Resolves with the removed filenames.
+async function removeUnreferenced(filenames) {
+  const references = songStore.fileReferences();
+  const removed = [];
+  for (const filename of new Set(filenames)) {
+    if (references.has(filename) || !(await storage.exists(filename))) continue;
+    await unlinkStored(filename);
+    removed.push(filename);
+  }
+  return removed;
+}
+
+// Delete one stored file if nothing uses it. Resolves with { removed } or
+// { error, references } when it is missing or still in use.
+async function removeFile(filename) {
+  if (!isStoredName(filename) || !(await storage.exists(filename))) {
+    return { error: 'File not found' };
+  }
+
+  const references = songStore.fileReferences().get(filename) || [];
+  if (references.length > 0) {
+    return { error: `File is used by ${references.length} song reference(s)`, references: references };
+  }
+
+  await unlinkStored(filename);
+  return { removed: filename };
+}
+
+// Sweep storage for files no song references. options: { minAge } in
+// seconds, files younger than that are left alone; { dryRun } only lists;
+// { force } sweeps even with an empty catalog. Resolves with
+// { removed: [{ filename, size }], freedBytes, skipped }, or { error } when
+// refused.
+async function collectGarbage(options = {}) {
+  const minAge = options.minAge >= 0 ? options.minAge : defaultMinAge;
+  const cutoff = Date.now() - minAge * 1000;
+  const removed = [];
+  let skipped = 0;
+
+  const files = await listStoredFiles();
+  // No songs next to stored files more likely means a lost catalog than a
+  // library that is all garbage
+  if (!options.force && songStore.listSongs().length === 0 && files.length > 0) {
+    return { error: `The song catalog is empty but storage holds ${files.length} file(s); sweep with force to remove them anyway` };
+  }
+
+  for (const file of files) {
+    if (file.references.length > 0) continue;
+    if (file.modified > cutoff) {
+      skipped++;
+      continue;
+    }
+    if (!options.dryRun) await unlinkStored(file.filename);
+    removed.push({ filename: file.filename, size: file.size });
+  }
+
+  const freedBytes = removed.reduce((total, file) => total + file.size, 0);
+  console.log(`Storage sweep${options.dryRun ? ' (dry run)' : ''}: ${removed.length} unreferenced files, ${freedBytes} bytes`);
+  return { removed: removed, freedBytes: freedBytes, skipped: skipped };
+}
+
+module.exports = {
+  storage,
+  storeFile,
+  isStoredName,
+  readFile,
+  statFile,
+  openStream,
+  initializeFileHashes,
+  loadSettings,
+  getQuota,
+  setQuota,
+  getUsage,
+  checkQuota,
+  removeUnreferenced,
+  removeFile,
+  collectGarbage
+};
@@ -0,0 +1,122 @@
+const path = require('path');
+const fs = require('fs');
+const { readStorageConfig, createStorage } = require('./storage');
+
+// The JSON documents the stores keep in data/: the song catalog, the karaoke
+// queue and the storage settings. They are always written here on local
+// disk. With a storage driver other than local disk each is copied there as
+// well, under a data/ key prefix, because a host that wipes local disk on
+// redeploy would otherwise come back with an empty catalog next to a full
+// bucket, and the storage sweep would take the whole library for garbage.
+// DATA_DIR moves the local folder.
+const dataDir = path.resolve(process.env.DATA_DIR || path.join(__dirname, '..', 'data'));
+
+function createRemoteStorage(config) {
+  if (config.driver === 'local') return null;
+  return createStorage(Object.assign({}, config, { prefix: (config.prefix || '') + 'data/' }));
+}
+
+const remote = createRemoteStorage(readStorageConfig(process.env));
+const copies = new Map(); // name -> { again, done } for copies in flight
+
+function documentPath(name) {
+  return path.join(dataDir, name);
+}
+
+function writeLocal(name, content) {
+  if (!fs.existsSync(dataDir)) {
+    fs.mkdirSync(dataDir, { recursive: true });
+  }
+
+  const tempPath = documentPath(name) + '.tmp';
+  fs.writeFileSync(tempPath, content);
+  fs.renameSync(tempPath, documentPath(name));
+}
+
+// Upload the document as it is on disk now, tagged with its local
+// modification time so restoreDocuments can tell which side is newer
+function uploadDocument(name) {
+  const filePath = documentPath(name);
+  const modified = Math.round(fs.statSync(filePath).mtimeMs);
+  return remote.put(name, fs.readFileSync(filePath), {
+    contentType: 'application/json',
+    metadata: { modified: String(modified) }
+  });
+}
+
+// Copy a document to storage in the background. Writes that come in while
+// a copy is on its way are folded into one more copy of the latest content,
+// so copies never overtake each other. A failed copy is logged; the next
+// write, or the next startup, tries again.
+function copyDocument(name) {
+  const copy = copies.get(name);
+  if (copy) {
+    copy.again = true;
+    return;
+  }
+
+  const state = { again: false };
+  state.done = (async () => {
+    do {
+      state.again = false;
+      try {
+        await uploadDocument(name);
+      } catch (error) {
+        console.error(`Error copying ${name} to ${remote.description}:`, error.message);
+      }
+    } while (state.again);
+    copies.delete(name);
+  })();
+  copies.set(name, state);
+}
+
+// Write a document to a temp file first so a crash never leaves it
+// half-written, then copy it to storage when that is not local disk
+function writeDocument(name, data) {
+  writeLocal(name, JSON.stringify(data, null, 2));
+  if (remote) copyDocument(name);
+}
+
+// Resolves once every copy started so far has been uploaded (or failed)
+async function flushDocuments() {
+  await Promise.all(Array.from(copies.values(), copy => copy.done));
+}
+
+// Bring data/ in line with the copies in storage before the stores load it
+// (called once at startup). A document newer there, or missing here, is
+// downloaded; one newer here, or missing there as after switching drivers,
+// is uploaded. Rejects when storage cannot be read: starting with an empty
+// catalog is exactly what the copies are there to prevent.
+async function restoreDocuments() {
+  if (!remote) return;
+
+  const names = new Set((await remote.list()).map(file => file.filename));
+  if (fs.existsSync(dataDir)) {
+    for (const name of fs.readdirSync(dataDir)) {
+      if (name.endsWith('.json')) names.add(name);
+    }
+  }
+
+  for (const name of names) {
+    const filePath = documentPath(name);
+    const stored = await remote.stat(name);
+    const storedModified = stored && (parseInt(stored.metadata.modified, 10) || stored.modified);
+    const localModified = fs.existsSync(filePath) ? Math.round(fs.statSync(filePath).mtimeMs) : null;
+
+    if (stored && (localModified === null || storedModified > localModified)) {
+      writeLocal(name, await remote.get(name));
+      fs.utimesSync(filePath, new Date(), new Date(storedModified));
+      console.log(`Restored ${name} from ${remote.description}`);
+    } else if (localModified !== null && (!stored || localModified > storedModified)) {
+      await uploadDocument(name);
+      console.log(`Copied ${name} to ${remote.description}`);
+    }
+  }
+}
+
+module.exports = {
+  documentPath,
+  writeDocument,
+  flushDocuments,
+  restoreDocuments
+};
@@ -0,0 +1,90 @@
+const path = require('path');
+const fs = require('fs');
+
+// Storage driver keeping every stored file as a plain file in one directory
+// on this machine. Fine for a single server; anything stored is lost with
+// the disk.
+
+// Stored names are plain filenames; anything else could reach outside the directory
+function checkName(filename) {
+  if (!filename || path.basename(filename) !== filename || filename.startsWith('.')) {
+    throw new Error(`Invalid stored filename: ${filename}`);
+  }
+}
+
+// options: { directory }
+function createLocalDiskStorage(options) {
+  const directory = options.directory;
+  const filePath = filename => {
+    checkName(filename);
+    return path.join(directory, filename);
+  };
+
+  if (!fs.existsSync(directory)) {
+    fs.mkdirSync(directory, { recursive: true });
+    console.log('Created uploads directory:', directory);
+  }
+
+  return {
+    description: `local disk (${directory})`,
+
+    // Written under a hidden temp name first, as list() skips those, so a
+    // crash never leaves half a file behind under the real name
+    async put(filename, data) {
+      const target = filePath(filename);
+      const tempPath = path.join(directory, `.${filename}.tmp`);
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, target);
+    },
+
+    async get(filename) {
+      return fs.promises.readFile(filePath(filename));
+    },
+
+    // range: { start, end } in bytes, both inclusive
+    async stream(filename, range = {}) {
+      return fs.createReadStream(filePath(filename), { start: range.start, end: range.end });
+    },
+
+    async delete(filename) {
+      try {
+        await fs.promises.unlink(filePath(filename));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    },
+
+    async exists(filename) {
+      return (await this.stat(filename)) !== null;
+    },
+
+    // { size, modified, metadata } or null when there is no such file.
+    // Plain files carry no metadata.
+    async stat(filename) {
+      try {
+        const stats = await fs.promises.stat(filePath(filename));
+        return stats.isFile() ? { size: stats.size, modified: stats.mtimeMs, metadata: {} } : null;
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Every stored file as { filename, size, modified }
+    async list() {
+      const files = [];
+      for (const filename of await fs.promises.readdir(directory)) {
+        if (filename.startsWith('.')) continue;
+        const stats = await fs.promises.stat(path.join(directory, filename));
+        if (stats.isFile()) {
+          files.push({ filename: filename, size: stats.size, modified: stats.mtimeMs });
+        }
+      }
+      return files;
+    }
+  };
+}
+
+module.exports = {
+  createLocalDiskStorage
+};
@@ -0,0 +1,234 @@
+// Automatic draft timing for untimed lyrics, entirely offline. The audio is
+// reduced to a vocal-band energy envelope, frames loud enough to hold a
+// voice become vocal segments, and the lyric lines are spread across the
+// sung time in proportion to their length, each then snapped to the nearest
+// phrase onset. The result is a starting point for the editor, not a
+// finished sync.
+
+const defaults = {
+  frameDuration: 0.02, // seconds per analysis frame
+  smoothing: 0.15, // seconds of moving average on the envelope
+  lowCut: 250, // Hz, below this is mostly bass and kick drum
+  highCut: 3500, // Hz, above this is mostly cymbals and sibilance
+  onThreshold: 0.35, // share of the floor-to-peak range that starts a segment
+  offThreshold: 0.25, // share that ends one
+  minGap: 0.3, // seconds; shorter pauses are breaths inside a phrase
+  minSegment: 0.25, // seconds; shorter bursts are ignored
+  onsetRise: 6, // dB the envelope must climb to count as a new phrase
+  onsetWindow: 0.1, // seconds the climb is measured over
+  minOnsetGap: 0.5, // seconds between onsets
+  snapWindow: 1, // seconds of sung time a line may move to reach an onset
+  minLineGap: 0.3 // seconds kept between consecutive line starts
+};
+
+// RBJ cookbook biquad, run over the whole signal
+function biquad(samples, sampleRate, type, frequency) {
+  const w0 = 2 * Math.PI * frequency / sampleRate;
+  const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+  const cos = Math.cos(w0);
+
+  const b1 = type === 'lowpass' ? 1 - cos : -(1 + cos);
+  const b0 = type === 'lowpass' ? b1 / 2 : (1 + cos) / 2;
+  const b2 = b0;
+  const a0 = 1 + alpha;
+  const a1 = -2 * cos;
+  const a2 = 1 - alpha;
+
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const x = samples[i];
+    const y = (b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2) / a0;
+    output[i] = y;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+  }
+  return output;
+}
+
+// Vocal-band loudness in dB, one value per frame
+function vocalEnvelope(samples, sampleRate, options) {
+  const band = biquad(biquad(samples, sampleRate, 'highpass', options.lowCut), sampleRate, 'lowpass', options.highCut);
+  const frameSize = Math.max(1, Math.round(sampleRate * options.frameDuration));
+  const frameCount = Math.floor(band.length / frameSize);
+  const envelope = new Float32Array(frameCount);
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+      sum += band[i] * band[i];
+    }
+    envelope[frame] = 10 * Math.log10(sum / frameSize + 1e-10);
+  }
+
+  return smooth(envelope, Math.max(1, Math.round(options.smoothing / options.frameDuration)));
+}
+
+// Centred moving average
+function smooth(values, width) {
+  const output = new Float32Array(values.length);
+  const half = Math.floor(width / 2);
+  for (let i = 0; i < values.length; i++) {
+    const start = Math.max(0, i - half);
+    const end = Math.min(values.length, i + half + 1);
+    let sum = 0;
+    for (let j = start; j < end; j++) sum += values[j];
+    output[i] = sum / (end - start);
+  }
+  return output;
+}
+
+function percentile(values, fraction) {
+  const sorted = Array.from(values).sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))];
+}
+
+// Runs of frames above the threshold, with hysteresis so a segment does not
+// flicker on and off around it. Returns [{ start, end }] in seconds.
+function findSegments(envelope, options) {
+  const floor = percentile(envelope, 0.1);
+  const peak = percentile(envelope, 0.95);
+  const on = floor + options.onThreshold * (peak - floor);
+  const off = floor + options.offThreshold * (peak - floor);
+
+  const segments = [];
+  let start = null;
+  for (let i = 0; i <= envelope.length; i++) {
+    const level = i < envelope.length ? envelope[i] : -Infinity;
+    if (start === null && level > on) {
+      start = i;
+    } else if (start !== null && level < off) {
+      segments.push({ start: start * options.frameDuration, end: i * options.frameDuration });
+      start = null;
+    }
+  }
+
+  // Join segments split by a breath, then drop stray clicks
+  const merged = [];
+  for (const segment of segments) {
+    const last = merged[merged.length - 1];
+    if (last && segment.start - last.end < options.minGap) {
+      last.end = segment.end;
+    } else {
+      merged.push(Object.assign({}, segment));
+    }
+  }
+  return merged.filter(segment => segment.end - segment.start >= options.minSegment);
+}
+
+// Phrase onsets: every segment start, plus sharp climbs in loudness inside
+// a segment where a new phrase follows without a pause. Sorted, in seconds.
+function findOnsets(envelope, segments, options) {
+  const onsets = segments.map(segment => segment.start);
+  const window = Math.max(1, Math.round(options.onsetWindow / options.frameDuration));
+
+  for (const segment of segments) {
+    const first = Math.round(segment.start / options.frameDuration) + window;
+    const last = Math.round(segment.end / options.frameDuration);
+    let previous = segment.start;
+
+    for (let i = first; i < last; i++) {
+      let low = Infinity;
+      for (let j = i - window; j < i; j++) low = Math.min(low, envelope[j]);
+
+      const time = i * options.frameDuration;
+      if (envelope[i] - low >= options.onsetRise && time - previous >= options.minOnsetGap) {
+        onsets.push(time);
+        previous = time;
+      }
+    }
+  }
+
+  return onsets.sort((a, b) => a - b);
+}
+
+// Real time at which `position` seconds of sung (in-segment) time is reached
+function segmentTime(segments, position) {
+  let remaining = position;
+  for (const segment of segments) {
+    const length = segment.end - segment.start;
+    if (remaining < length) return segment.start + remaining;
+    remaining -= length;
+  }
+  const last = segments[segments.length - 1];
+  return last ? last.end : 0;
+}
+
+// Sung time reached by real time `time`; the inverse of segmentTime, with
+// pauses between segments taking no sung time
+function sungPosition(segments, time) {
+  let position = 0;
+  for (const segment of segments) {
+    if (time <= segment.start) break;
+    position += Math.min(time, segment.end) - segment.start;
+  }
+  return position;
+}
+
+// Spread the lines over the sung time by length, then snap each start to the
+// nearest onset that keeps the lines in order. Nearness is measured in sung
+// time, so a line estimated at the very end of a phrase still reaches the
+// onset of the next one across the pause.
+function placeLines(texts, segments, onsets, options) {
+  const weights = texts.map(text => Math.max(1, text.replace(/\s+/g, '').length));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const sungTime = segments.reduce((sum, segment) => sum + segment.end - segment.start, 0);
+
+  const onsetPositions = onsets.map(onset => sungPosition(segments, onset));
+
+  const times = [];
+  let before = 0;
+  for (let i = 0; i < texts.length; i++) {
+    const position = sungTime * before / totalWeight;
+    const estimate = segmentTime(segments, position);
+    const earliest = i > 0 ? times[i - 1] + options.minLineGap : 0;
+
+    let best = null;
+    let bestDistance = Infinity;
+    onsets.forEach((onset, index) => {
+      const distance = Math.abs(onsetPositions[index] - position);
+      if (onset < earliest || distance > options.snapWindow) return;
+      if (distance < bestDistance) {
+        best = onset;
+        bestDistance = distance;
+      }
+    });
+
+    times.push(Math.max(earliest, best !== null ? best : estimate));
+    before += weights[i];
+  }
+  return times;
+}
+
+// Align untimed lyric lines to audio. samples: mono Float32Array.
+// Returns { lines: [{ timestamp, text }], segments, onsets }; with no vocal
+// segments found the lines are spread evenly over the whole track instead.
+function alignLyrics(samples, sampleRate, texts, overrides = {}) {
+  const options = Object.assign({}, defaults, overrides);
+  const duration = samples.length / sampleRate;
+
+  const envelope = vocalEnvelope(samples, sampleRate, options);
+  const segments = envelope.length > 0 ? findSegments(envelope, options) : [];
+  const onsets = findOnsets(envelope, segments, options);
+
+  const spread = segments.length > 0 ? segments : [{ start: 0, end: duration }];
+  const times = placeLines(texts, spread, onsets, options);
+
+  return {
+    lines: texts.map((text, index) => ({ timestamp: Math.round(times[index] * 100) / 100, text: text })),
+    segments: segments,
+    onsets: onsets
+  };
+}
+
+// The lyric rows of an untimed file: non-empty lines, without LRC ID tags
+function untimedLines(content) {
+  return content.replace(/^\uFEFF/, '').split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !/^\[[a-zA-Z#]+:.*\]$/.test(line));
+}
+
+module.exports = {
+  alignLyrics,
+  untimedLines
+};
@@ -0,0 +1,111 @@
+// Line-level comparison of two versions of a song's lyrics. Lines are
+// matched by their text, so a re-timed line is not mistaken for a new one:
+// text edits and timing shifts come back as two separate lists.
+
+const defaults = {
+  tolerance: 0.01 // seconds a stamp may move before it counts as a shift
+};
+
+function lineKey(line) {
+  return `${line.singer || ''}\u0000${line.text.trim()}`;
+}
+
+// Longest common subsequence of line texts. Returns matched index pairs
+// [oldIndex, newIndex] in order.
+function matchLines(oldLines, newLines) {
+  const oldKeys = oldLines.map(lineKey);
+  const newKeys = newLines.map(lineKey);
+  const width = newKeys.length + 1;
+  const lengths = new Uint32Array((oldKeys.length + 1) * width);
+
+  for (let i = oldKeys.length - 1; i >= 0; i--) {
+    for (let j = newKeys.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = oldKeys[i] === newKeys[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldKeys.length && j < newKeys.length) {
+    if (oldKeys[i] === newKeys[j]) {
+      pairs.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return pairs;
+}
+
+function describeLine(line, index) {
+  const described = { index: index, timestamp: line.timestamp, text: line.text };
+  if (line.singer) described.singer = line.singer;
+  return described;
+}
+
+function roundShift(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// Compare parsed lyric lines (as from parseLyrics) of two versions.
+// Returns {
+//   text: [{ type: 'added'|'removed'|'changed', from, to }],
+//   timing: [{ from, to, shift }],
+//   summary: { added, removed, changed, retimed }
+// } where from/to are { index, timestamp, text, singer? } or null. Lines
+// between two matches are paired up in order as 'changed'; timing only
+// lists lines whose text is unchanged, so an edit is never counted twice.
+function diffLyrics(oldLines, newLines, overrides = {}) {
+  const options = Object.assign({}, defaults, overrides);
+  const text = [];
+  const timing = [];
+
+  const addGap = (oldStart, oldEnd, newStart, newEnd) => {
+    const paired = Math.min(oldEnd - oldStart, newEnd - newStart);
+    for (let k = 0; k < paired; k++) {
+      text.push({
+        type: 'changed',
+        from: describeLine(oldLines[oldStart + k], oldStart + k),
+        to: describeLine(newLines[newStart + k], newStart + k)
+      });
+    }
+    for (let i = oldStart + paired; i < oldEnd; i++) {
+      text.push({ type: 'removed', from: describeLine(oldLines[i], i), to: null });
+    }
+    for (let j = newStart + paired; j < newEnd; j++) {
+      text.push({ type: 'added', from: null, to: describeLine(newLines[j], j) });
+    }
+  };
+
+  let oldNext = 0;
+  let newNext = 0;
+  for (const [i, j] of matchLines(oldLines, newLines)) {
+    addGap(oldNext, i, newNext, j);
+
+    const shift = newLines[j].timestamp - oldLines[i].timestamp;
+    if (Math.abs(shift) > options.tolerance) {
+      timing.push({ from: describeLine(oldLines[i], i), to: describeLine(newLines[j], j), shift: roundShift(shift) });
+    }
+
+    oldNext = i + 1;
+    newNext = j + 1;
+  }
+  addGap(oldNext, oldLines.length, newNext, newLines.length);
+
+  const count = type => text.filter(change => change.type === type).length;
+  return {
+    text: text,
+    timing: timing,
+    summary: { added: count('added'), removed: count('removed'), changed: count('changed'), retimed: timing.length }
+  };
+}
+
+module.exports = {
+  diffLyrics
+};
@@ -0,0 +1,454 @@
+// Lyrics parsing: LRC (with metadata tags, repeated timestamps, offset and
+// enhanced <mm:ss.xx> word stamps), SRT and WebVTT subtitles, and a plain
+// "seconds text" fallback format.
+
+// One or more leading time tags: [mm:ss], [mm:ss.xx], [mm:ss.xxx] or [mm:ss:xx]
+const timeTagRegex = /\[(\d+):(\d{1,2})(?:[.:](\d{1,3}))?\]/g;
+const leadingTimeTagsRegex = /^(?:\s*\[\d+:\d{1,2}(?:[.:]\d{1,3})?\])+/;
+
+// Enhanced LRC inline word stamps: <mm:ss.xx>word
+const wordStampRegex = /<(\d+):(\d{1,2})(?:[.:](\d{1,3}))?>/g;
+
+// SRT/WebVTT cue timing: [hh:]mm:ss,mmm --> [hh:]mm:ss.mmm [settings]
+const cueTimingRegex = /^((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+
+// ID tags such as [ti: Title] or [offset: +250]
+const metadataTagRegex = /^\[([a-zA-Z#]+):\s*(.*?)\s*\]$/;
+
+// Duet singer markers at the start of a lyric: M: (male), F: (female),
+// D: (sung together) or numbered voices v1:, v2:, ... A marker carries over
+// to the lines after it; -: goes back to no particular singer.
+const singerPrefixRegex = /^(M|F|D|[vV]\d+|-)\s*:\s*/;
+
+// Friendly names for the standard LRC ID tags
+const metadataTagNames = {
+  ti: 'title',
+  ar: 'artist',
+  al: 'album',
+  au: 'author',
+  by: 'creator',
+  re: 'editor',
+  ve: 'version',
+  la: 'language',
+  length: 'length',
+  offset: 'offset'
+};
+
+// Convert time tag parts to seconds; the fraction is scaled by its own
+// digit count so .5, .50 and .500 all mean half a second
+function timeTagToSeconds(minutes, seconds, fraction) {
+  let value = parseInt(minutes, 10) * 60 + parseInt(seconds, 10);
+  if (fraction) {
+    value += parseInt(fraction, 10) / Math.pow(10, fraction.length);
+  }
+  return value;
+}
+
+// Parse subtitle clock times: "01:02:03,456", "02:03.456"
+function clockTimeToSeconds(value) {
+  const parts = value.replace(',', '.').split(':');
+  let seconds = 0;
+  for (const part of parts) {
+    seconds = seconds * 60 + parseFloat(part);
+  }
+  return seconds;
+}
+
+// Parse "mm:ss", "mm:ss.xx" or plain seconds as used by [length:]
+function parseDuration(value) {
+  const match = value.match(/^(\d+):(\d{1,2})(?:[.:](\d{1,3}))?$/);
+  if (match) {
+    return timeTagToSeconds(match[1], match[2], match[3]);
+  }
+  const seconds = parseFloat(value);
+  return isNaN(seconds) ? null : seconds;
+}
+
+function parseMetadataTag(metadata, tag, value) {
+  const key = metadataTagNames[tag.toLowerCase()] || tag.toLowerCase();
+
+  if (key === 'singers') {
+    metadata.singers = parseSingers(value);
+  } else if (key === 'offset') {
+    const offset = parseInt(value, 10);
+    metadata.offset = isNaN(offset) ? 0 : offset;
+  } else if (key === 'length') {
+    metadata.length = parseDuration(value);
+  } else {
+    metadata[key] = value;
+  }
+}
+
+// [singers: v1=Alice, v2=Bob] names the voices; a bare list such as
+// [singers: Alice, Bob] is numbered v1, v2, ... in order
+function parseSingers(value) {
+  const singers = {};
+  value.split(',').forEach((entry, index) => {
+    const pair = entry.split('=');
+    if (pair.length >= 2) {
+      const code = normalizeSinger(pair[0].trim());
+      const name = pair.slice(1).join('=').trim();
+      if (code && name) singers[code] = name;
+    } else if (entry.trim()) {
+      singers[`v${index + 1}`] = entry.trim();
+    }
+  });
+  return singers;
+}
+
+// "m" -> "M", "V2" -> "v2"
+function normalizeSinger(code) {
+  return /^[vV]\d+$/.test(code) ? code.toLowerCase() : code.toUpperCase();
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Find a singer marker at the start of a lyric, either a standard code or a
+// name from the [singers:] header. A leading word stamp may come first.
+// Returns { singer, text } with the marker removed (singer null for the -:
+// reset), or null when there is no marker.
+function matchSinger(text, singers) {
+  const stamp = text.match(/^<[^>]*>\s*/);
+  const head = stamp ? stamp[0] : '';
+  const body = text.slice(head.length);
+
+  let match = body.match(singerPrefixRegex);
+  let singer = match && match[1] !== '-' ? normalizeSinger(match[1]) : null;
+
+  if (!match && singers) {
+    for (const code of Object.keys(singers)) {
+      match = body.match(new RegExp(`^${escapeRegex(singers[code])}\\s*:\\s*`, 'i'));
+      if (match) {
+        singer = code;
+        break;
+      }
+    }
+  }
+
+  if (!match) return null;
+  return { singer: singer, text: (head + body.slice(match[0].length)).trim() };
+}
+
+// Split enhanced LRC text into timed words. Text before the first stamp
+// starts with the line itself; a trailing stamp with no text marks the end
+// of the last word. Returns null when the line has no word stamps.
+function parseWordStamps(text, lineTime) {
+  wordStampRegex.lastIndex = 0;
+  if (!wordStampRegex.test(text)) return null;
+
+  const words = [];
+  let endTime = null;
+  let time = lineTime;
+  let lastIndex = 0;
+  let stamp;
+
+  wordStampRegex.lastIndex = 0;
+  while ((stamp = wordStampRegex.exec(text)) !== null) {
+    const segment = text.slice(lastIndex, stamp.index);
+    if (segment.trim()) {
+      words.push({ time: time, text: segment });
+    }
+    time = timeTagToSeconds(stamp[1], stamp[2], stamp[3]);
+    lastIndex = wordStampRegex.lastIndex;
+  }
+
+  const rest = text.slice(lastIndex);
+  if (rest.trim()) {
+    words.push({ time: time, text: rest });
+  } else {
+    endTime = time;
+  }
+
+  if (words.length > 0) {
+    words[0].text = words[0].text.replace(/^\s+/, '');
+  }
+
+  return {
+    text: words.map(word => word.text).join('').replace(/\s+/g, ' ').trim(),
+    words: words,
+    endTime: endTime
+  };
+}
+
+// Give the last line before each empty stamp an endTime, unless word stamps
+// already gave it one
+function applyClearTimes(lyrics, clearTimes) {
+  if (clearTimes.length === 0) return;
+
+  const sorted = lyrics.slice().sort((a, b) => a.timestamp - b.timestamp);
+  for (const clearTime of clearTimes) {
+    let previous = null;
+    for (const lyric of sorted) {
+      if (lyric.timestamp >= clearTime) break;
+      previous = lyric;
+    }
+    if (previous && previous.endTime === undefined) {
+      previous.endTime = clearTime;
+    }
+  }
+}
+
+// Parse LRC content into metadata and one entry per timestamp
+function parseLrc(lines) {
+  const metadata = {};
+  const lyrics = [];
+  const skipped = [];
+  const clearTimes = [];
+  let singer = null; // a marker carries over to the lines after it
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    const tagsMatch = line.match(leadingTimeTagsRegex);
+    if (!tagsMatch) {
+      const metadataMatch = line.match(metadataTagRegex);
+      if (metadataMatch) {
+        parseMetadataTag(metadata, metadataMatch[1], metadataMatch[2]);
+      } else {
+        skipped.push({ lineNumber: i + 1, reason: 'unparseable', text: line });
+      }
+      continue;
+    }
+
+    let text = line.slice(tagsMatch[0].length).trim();
+
+    const marker = matchSinger(text, metadata.singers);
+    if (marker) {
+      singer = marker.singer;
+      text = marker.text;
+    }
+
+    // A stamp with no text clears the screen: it ends the line before it
+    if (!text) {
+      timeTagRegex.lastIndex = 0;
+      let clearTag;
+      while ((clearTag = timeTagRegex.exec(tagsMatch[0])) !== null) {
+        clearTimes.push(timeTagToSeconds(clearTag[1], clearTag[2], clearTag[3]));
+      }
+      continue;
+    }
+
+    // A line like [00:12.00][01:05.00]Chorus is sung at every listed time
+    timeTagRegex.lastIndex = 0;
+    const timestamps = [];
+    let tag;
+    while ((tag = timeTagRegex.exec(tagsMatch[0])) !== null) {
+      timestamps.push(timeTagToSeconds(tag[1], tag[2], tag[3]));
+    }
+
+    const timed = parseWordStamps(text, timestamps[0]);
+
+    for (const timestamp of timestamps) {
+      const lyric = {
+        timestamp: timestamp,
+        text: timed ? timed.text : text,
+        lineNumber: i + 1
+      };
+      if (singer) {
+        lyric.singer = singer;
+      }
+
+      // Word stamps are written for the first occurrence; repeats shift with it
+      if (timed) {
+        const shift = timestamp - timestamps[0];
+        lyric.words = timed.words.map(word => ({
+          time: word.time + shift,
+          text: word.text
+        }));
+        if (timed.endTime !== null) {
+          lyric.endTime = timed.endTime + shift;
+        }
+      }
+
+      lyrics.push(lyric);
+    }
+  }
+
+  applyClearTimes(lyrics, clearTimes);
+
+  // A positive [offset:] (in milliseconds) makes lyrics appear sooner
+  if (metadata.offset) {
+    const shiftTime = time => Math.max(0, time - metadata.offset / 1000);
+    for (const lyric of lyrics) {
+      lyric.timestamp = shiftTime(lyric.timestamp);
+      if (lyric.words) {
+        lyric.words.forEach(word => { word.time = shiftTime(word.time); });
+      }
+      if (lyric.endTime !== undefined) {
+        lyric.endTime = shiftTime(lyric.endTime);
+      }
+    }
+  }
+
+  return { metadata: metadata, lines: lyrics, skipped: skipped };
+}
+
+// Parse the "seconds text" format, e.g. "10.5 Hello world"
+function parsePlain(lines) {
+  const lyrics = [];
+  const skipped = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line) continue;
+
+    // Try to extract timestamp and text
+    const parts = line.split(/\s+/);
+    if (parts.length >= 2) {
+      const timestamp = parseFloat(parts[0]);
+      if (!isNaN(timestamp) && timestamp >= 0) {
+        const text = parts.slice(1).join(' ');
+        lyrics.push({
+          timestamp: timestamp,
+          text: text,
+          lineNumber: i + 1
+        });
+        continue;
+      }
+    }
+
+    // A lone number is a stamp with nothing to sing; anything else has no stamp
+    const reason = parts.length === 1 && !isNaN(parseFloat(parts[0])) ? 'empty' : 'unparseable';
+    skipped.push({ lineNumber: i + 1, reason: reason, text: line });
+  }
+
+  return { metadata: {}, lines: lyrics, skipped: skipped };
+}
+
+// Remove subtitle markup such as <i>, <v Singer>, <c.red> and {\an8}
+function stripCueMarkup(text) {
+  return text
+    .replace(/<[^>]*>/g, '')
+    .replace(/\{\\[^}]*\}/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&nbsp;/g, ' ')
+    .trim();
+}
+
+// Parse SRT or WebVTT cues. Both are blocks separated by blank lines with a
+// timing line; multi-line cues are joined into one lyric line.
+function parseCues(lines, format) {
+  const metadata = {};
+  const lyrics = [];
+  const skipped = [];
+  let i = 0;
+
+  if (format === 'vtt') {
+    // The header is found the way detectFormat found it, past blank lines
+    const headerIndex = firstContentLine(lines);
+    const header = lines[headerIndex].trim().match(/^WEBVTT\s*(.*)$/);
+    if (header && header[1]) {
+      metadata.title = header[1].replace(/^-\s*/, '');
+    }
+    i = headerIndex + 1;
+  }
+
+  while (i < lines.length) {
+    // Find the next timing line; anything else before it (cue numbers,
+    // identifiers, NOTE/STYLE/REGION blocks) is skipped
+    const timing = lines[i].trim().match(cueTimingRegex);
+    if (!timing) {
+      if (format === 'vtt' && /^(NOTE|STYLE|REGION)\b/.test(lines[i].trim())) {
+        while (i < lines.length && lines[i].trim()) i++;
+      }
+      i++;
+      continue;
+    }
+
+    const textLines = [];
+    const firstTextLine = i + 2;
+    i++;
+    while (i < lines.length && lines[i].trim()) {
+      textLines.push(stripCueMarkup(lines[i]));
+      i++;
+    }
+
+    const text = textLines.filter(line => line).join(' ');
+    if (text) {
+      lyrics.push({
+        timestamp: clockTimeToSeconds(timing[1]),
+        endTime: clockTimeToSeconds(timing[2]),
+        text: text,
+        lineNumber: firstTextLine
+      });
+    } else {
+      skipped.push({ lineNumber: firstTextLine - 1, reason: 'empty', text: timing[0] });
+    }
+  }
+
+  return { metadata: metadata, lines: lyrics, skipped: skipped };
+}
+
+// Index of the first line that is not blank (a BOM counts as blank), or -1
+function firstContentLine(lines) {
+  return lines.findIndex(line => line.trim());
+}
+
+function detectFormat(lines) {
+  const firstLine = lines[firstContentLine(lines)] || '';
+  if (/^WEBVTT\b/.test(firstLine.trim())) return 'vtt';
+  if (lines.some(line => cueTimingRegex.test(line.trim()))) return 'srt';
+  if (hasLrcTimestamps(lines)) return 'lrc';
+  return 'plain';
+}
+
+function hasLrcTimestamps(lines) {
+  return lines.some(line => leadingTimeTagsRegex.test(line.trim()));
+}
+
+// Which format's timing a single raw line carries: 'lrc', 'cue' (SRT or
+// WebVTT), 'plain' ("seconds text") or null for none
+function lineTimingFormat(line) {
+  const trimmed = line.trim();
+  if (leadingTimeTagsRegex.test(trimmed)) return 'lrc';
+  if (cueTimingRegex.test(trimmed)) return 'cue';
+  if (/^\d+(?:\.\d+)?\s+\S/.test(trimmed)) return 'plain';
+  return null;
+}
+
+// Parse lyrics file (supports multiple formats)
+// Returns { format, metadata, lines, skipped } with lines sorted by
+// timestamp and skipped listing the rows that were dropped as
+// { lineNumber, reason: 'unparseable' | 'empty', text }.
+// Lines from enhanced LRC also carry words: [{ time, text }]; lines from
+// enhanced LRC, SRT and WebVTT may carry an endTime, and LRC lines with duet
+// markers a singer ("M", "F", "D" or "v1", "v2", ...).
+function parseLyrics(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+
+  console.log('Parsing lyrics, total lines:', lines.length);
+
+  const format = detectFormat(lines);
+  let result;
+
+  if (format === 'vtt' || format === 'srt') {
+    result = parseCues(lines, format);
+  } else if (format === 'lrc') {
+    result = parseLrc(lines);
+  } else {
+    console.log('No LRC format detected, trying plain text format');
+    result = parsePlain(lines);
+  }
+
+  // Sort by timestamp
+  result.lines.sort((a, b) => a.timestamp - b.timestamp);
+
+  console.log('Final parsed lyrics:', result.lines.length, 'valid lines');
+  return {
+    format: format,
+    metadata: result.metadata,
+    lines: result.lines,
+    skipped: result.skipped
+  };
+}
+
+module.exports = {
+  parseLyrics,
+  parseDuration,
+  lineTimingFormat
+};
@@ -0,0 +1,179 @@
+// Lyrics export: serialize parsed lyrics ({ metadata, lines }) back out as
+// LRC, SRT, WebVTT or JSON.
+
+// Cues without an end time stay on screen this long at most (seconds)
+const defaultCueDuration = 4;
+
+const exportFormats = {
+  lrc: { contentType: 'text/plain; charset=utf-8', extension: 'lrc' },
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// LRC tag names for the metadata fields worth writing back out
+const lrcTags = {
+  title: 'ti',
+  artist: 'ar',
+  album: 'al',
+  author: 'au',
+  creator: 'by',
+  language: 'la'
+};
+
+function pad(value, length) {
+  return value.toString().padStart(length, '0');
+}
+
+// 83.456 -> "01:23.46"
+function formatLrcTime(seconds) {
+  const centiseconds = Math.round(Math.max(0, seconds) * 100);
+  const minutes = Math.floor(centiseconds / 6000);
+  const secs = Math.floor(centiseconds / 100) % 60;
+  return `${pad(minutes, 2)}:${pad(secs, 2)}.${pad(centiseconds % 100, 2)}`;
+}
+
+// 83.456 -> "00:01:23,456" (SRT) or "00:01:23.456" (WebVTT)
+function formatClockTime(seconds, separator) {
+  const milliseconds = Math.round(Math.max(0, seconds) * 1000);
+  const hours = Math.floor(milliseconds / 3600000);
+  const minutes = Math.floor(milliseconds / 60000) % 60;
+  const secs = Math.floor(milliseconds / 1000) % 60;
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(milliseconds % 1000, 3)}`;
+}
+
+// End of a line: its own endTime, else the next line, capped to a sane duration
+function lineEndTime(lines, index) {
+  const line = lines[index];
+  if (line.endTime !== undefined) return line.endTime;
+
+  const maxEnd = line.timestamp + defaultCueDuration;
+  const nextLine = lines[index + 1];
+  return nextLine ? Math.min(nextLine.timestamp, maxEnd) : maxEnd;
+}
+
+function toLrc(parsed) {
+  const output = [];
+  const metadata = parsed.metadata || {};
+
+  for (const field of Object.keys(lrcTags)) {
+    if (metadata[field]) {
+      output.push(`[${lrcTags[field]}: ${metadata[field]}]`);
+    }
+  }
+  const singers = metadata.singers ? Object.keys(metadata.singers) : [];
+  if (singers.length > 0) {
+    output.push(`[singers: ${singers.map(code => `${code}=${metadata.singers[code]}`).join(', ')}]`);
+  }
+  if (metadata.length) {
+    output.push(`[length: ${formatLrcTime(metadata.length).slice(0, 5)}]`);
+  }
+  if (output.length > 0) {
+    output.push('');
+  }
+
+  // Timestamps are already offset-adjusted, so no [offset:] is written
+  let singer = null;
+  parsed.lines.forEach((line, index) => {
+    let text = line.text;
+    if (line.words && line.words.length > 0) {
+      text = line.words.map(word => `<${formatLrcTime(word.time)}>${word.text}`).join('');
+      if (line.endTime !== undefined) {
+        text += `<${formatLrcTime(line.endTime)}>`;
+      }
+    }
+
+    // Singer markers carry over, so only write them when the voice changes,
+    // with the -: reset for a line after a singer that has none
+    const lineSinger = line.singer || null;
+    if (lineSinger !== singer) {
+      text = `${lineSinger || '-'}: ${text}`;
+      singer = lineSinger;
+    }
+    output.push(`[${formatLrcTime(line.timestamp)}]${text}`);
+
+    // An empty stamp clears the line when a known end comes before the next line
+    const nextLine = parsed.lines[index + 1];
+    if (line.endTime !== undefined && (!nextLine || nextLine.timestamp > line.endTime)) {
+      output.push(`[${formatLrcTime(line.endTime)}]`);
+    }
+  });
+
+  return output.join('\n') + '\n';
+}
+
+function toSrt(parsed) {
+  const cues = parsed.lines.map((line, index) => [
+    index + 1,
+    `${formatClockTime(line.timestamp, ',')} --> ${formatClockTime(lineEndTime(parsed.lines, index), ',')}`,
+    line.text
+  ].join('\n'));
+
+  return cues.join('\n\n') + '\n';
+}
+
+function toVtt(parsed) {
+  const title = parsed.metadata && parsed.metadata.title;
+  const output = [title ? `WEBVTT - ${title}` : 'WEBVTT', ''];
+
+  parsed.lines.forEach((line, index) => {
+    output.push(`${formatClockTime(line.timestamp, '.')} --> ${formatClockTime(lineEndTime(parsed.lines, index), '.')}`);
+    output.push(line.text);
+    output.push('');
+  });
+
+  return output.join('\n');
+}
+
+function toJson(parsed) {
+  return JSON.stringify({
+    metadata: parsed.metadata || {},
+    lines: parsed.lines
+  }, null, 2);
+}
+
+// Set the [offset:] tag (milliseconds) in LRC text, leaving everything else
+// untouched. An offset of 0 removes the tag.
+function setLrcOffset(content, offset) {
+  const offsetLineRegex = /^[ \t]*\[offset:[^\]]*\][ \t\r]*$/im;
+  const tag = offset ? `[offset: ${offset > 0 ? '+' : ''}${offset}]` : null;
+
+  if (offsetLineRegex.test(content)) {
+    return tag
+      ? content.replace(offsetLineRegex, tag)
+      : content.replace(/^[ \t]*\[offset:[^\]]*\][ \t]*(\r?\n|$)/im, '');
+  }
+  if (!tag) return content;
+
+  // Insert after the leading ID tags so the header stays together
+  const lines = content.split('\n');
+  let insertAt = 0;
+  while (insertAt < lines.length && /^\s*\[[a-zA-Z#]+:.*\]\s*$/.test(lines[insertAt])) {
+    insertAt++;
+  }
+  lines.splice(insertAt, 0, tag);
+  return lines.join('\n');
+}
+
+// Serialize parsed lyrics in the requested format
+function serializeLyrics(parsed, format) {
+  switch (format) {
+    case 'lrc':
+      return toLrc(parsed);
+    case 'srt':
+      return toSrt(parsed);
+    case 'vtt':
+      return toVtt(parsed);
+    case 'json':
+      return toJson(parsed);
+    default:
+      throw new Error(`Unsupported export format: ${format}`);
+  }
+}
+
+module.exports = {
+  exportFormats,
+  serializeLyrics,
+  setLrcOffset,
+  formatLrcTime
+};
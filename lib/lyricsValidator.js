@@ -0,0 +1,197 @@
+const { parseLyrics, lineTimingFormat } = require('./lyricsParser');
+
+// Lyrics lint: everything parseLyrics quietly works around, reported with
+// the line number it came from so users can fix their files. Each warning
+// is { line, code, severity, message }; severity is 'warning' for lines that
+// were dropped or will show at the wrong time, 'info' for things that are
+// only unusual.
+
+const defaults = {
+  longGap: 30, // seconds between lines before a gap is worth mentioning
+  lengthTolerance: 3 // seconds [length:] may differ from the audio
+};
+
+const formatNames = { lrc: 'LRC', cue: 'SRT/WebVTT', plain: '"seconds text"' };
+
+function formatSeconds(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = (seconds % 60).toFixed(2).padStart(5, '0');
+  return `${minutes}:${rest}`;
+}
+
+// Rows timed in a different format from the one the file was read as
+function findMixedFormats(rawLines, format) {
+  const expected = format === 'srt' || format === 'vtt' ? 'cue' : format;
+  const warnings = [];
+
+  rawLines.forEach((rawLine, index) => {
+    const lineFormat = lineTimingFormat(rawLine);
+    // Plain-looking rows inside cues are usually just numbered cue ids
+    if (!lineFormat || lineFormat === expected || (expected === 'cue' && lineFormat === 'plain')) return;
+
+    warnings.push({
+      line: index + 1,
+      code: 'mixed-format',
+      severity: 'warning',
+      message: `Line is timed as ${formatNames[lineFormat]} but the file was read as ${formatNames[expected]}; it was ignored`
+    });
+  });
+
+  return warnings;
+}
+
+// Compare names loosely: case, accents and punctuation aside, and a title
+// that merely adds "(Remastered)" or similar still matches
+function sameName(a, b) {
+  const normalize = text => text.normalize('NFKD').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  const left = normalize(a);
+  const right = normalize(b);
+  return !left || !right || left.includes(right) || right.includes(left);
+}
+
+// The file's [ti:]/[ar:]/[length:] headers against the audio's own tags
+function findHeaderMismatches(rawLines, metadata, options) {
+  const headerLine = tag => {
+    const index = rawLines.findIndex(rawLine => new RegExp(`^\\s*\\[${tag}:`, 'i').test(rawLine));
+    return index === -1 ? null : index + 1;
+  };
+  const warnings = [];
+
+  for (const [field, tag] of [['title', 'ti'], ['artist', 'ar']]) {
+    if (!options[field] || !metadata[field] || sameName(options[field], metadata[field])) continue;
+    warnings.push({
+      line: headerLine(tag),
+      code: 'metadata-mismatch',
+      severity: 'warning',
+      message: `[${tag}:] is "${metadata[field]}" but the audio's ${field} tag is "${options[field]}"; are these the right files?`
+    });
+  }
+
+  if (options.duration && metadata.length && Math.abs(options.duration - metadata.length) > options.lengthTolerance) {
+    warnings.push({
+      line: headerLine('length'),
+      code: 'metadata-mismatch',
+      severity: 'warning',
+      message: `[length:] is ${formatSeconds(metadata.length)} but the audio is ${formatSeconds(options.duration)} long; the lyrics may be for another version`
+    });
+  }
+
+  return warnings;
+}
+
+// First stamp of each source row, in file order (a row with repeated
+// stamps is parsed into several lines sharing one lineNumber)
+function rowsInFileOrder(lines) {
+  const rows = new Map();
+  for (const line of lines) {
+    const row = rows.get(line.lineNumber);
+    if (!row || line.timestamp < row.timestamp) {
+      rows.set(line.lineNumber, line);
+    }
+  }
+  return Array.from(rows.values()).sort((a, b) => a.lineNumber - b.lineNumber);
+}
+
+// Validate lyrics text. options: { duration, title, artist }, taken from
+// the audio; the file's own [length:] is used when no duration is given,
+// and the headers are checked against whichever of them are set.
+// Returns { format, lineCount, warnings } with warnings sorted by line.
+function validateLyrics(content, overrides = {}) {
+  const options = Object.assign({}, defaults, overrides);
+  const parsed = parseLyrics(content);
+  const rawLines = content.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const warnings = findHeaderMismatches(rawLines, parsed.metadata, options);
+
+  // A file with no stamps at all is untimed lyrics, not a broken file
+  if (parsed.lines.length === 0) {
+    warnings.push({
+      line: null,
+      code: 'no-timestamps',
+      severity: 'warning',
+      message: 'No timed lines found; the lyrics need syncing before they can be played'
+    });
+    warnings.sort((a, b) => a.line - b.line);
+    return { format: parsed.format, lineCount: 0, warnings: warnings };
+  }
+
+  const mixed = findMixedFormats(rawLines, parsed.format);
+  const mixedLines = new Set(mixed.map(warning => warning.line));
+  warnings.push(...mixed);
+
+  for (const skipped of parsed.skipped || []) {
+    if (mixedLines.has(skipped.lineNumber)) continue;
+    warnings.push(skipped.reason === 'empty'
+      ? {
+        line: skipped.lineNumber,
+        code: 'empty-line',
+        severity: 'info',
+        message: 'Timed line has no lyric text and was skipped'
+      }
+      : {
+        line: skipped.lineNumber,
+        code: 'unparseable',
+        severity: 'warning',
+        message: `Line has no timestamp and was skipped: "${skipped.text}"`
+      });
+  }
+
+  // Lines written earlier in the file but stamped later than what follows
+  const rows = rowsInFileOrder(parsed.lines);
+  for (let i = 1; i < rows.length; i++) {
+    if (rows[i].timestamp < rows[i - 1].timestamp) {
+      warnings.push({
+        line: rows[i].lineNumber,
+        code: 'out-of-order',
+        severity: 'info',
+        message: `Stamp ${formatSeconds(rows[i].timestamp)} comes before line ${rows[i - 1].lineNumber} (${formatSeconds(rows[i - 1].timestamp)}); lines are shown in time order`
+      });
+    }
+  }
+
+  // Two voices may share a stamp in a duet; the same voice twice is a mistake
+  const sorted = parsed.lines;
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const line = sorted[i];
+    if (line.timestamp === previous.timestamp && (line.singer || null) === (previous.singer || null)) {
+      warnings.push({
+        line: line.lineNumber,
+        code: 'duplicate-timestamp',
+        severity: 'warning',
+        message: `Shares stamp ${formatSeconds(line.timestamp)} with line ${previous.lineNumber}; only one of them will show`
+      });
+    }
+
+    const gap = line.timestamp - previous.timestamp;
+    if (gap > options.longGap) {
+      warnings.push({
+        line: line.lineNumber,
+        code: 'long-gap',
+        severity: 'info',
+        message: `${Math.round(gap)} seconds after the previous line (line ${previous.lineNumber})`
+      });
+    }
+  }
+
+  const duration = options.duration || parsed.metadata.length;
+  if (duration) {
+    const source = options.duration ? 'the audio' : '[length:]';
+    for (const line of sorted) {
+      if (line.timestamp > duration) {
+        warnings.push({
+          line: line.lineNumber,
+          code: 'past-end',
+          severity: 'warning',
+          message: `Stamp ${formatSeconds(line.timestamp)} is after the end of ${source} (${formatSeconds(duration)})`
+        });
+      }
+    }
+  }
+
+  warnings.sort((a, b) => a.line - b.line);
+  return { format: parsed.format, lineCount: parsed.lines.length, warnings: warnings };
+}
+
+module.exports = {
+  validateLyrics
+};
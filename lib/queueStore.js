@@ -0,0 +1,119 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const documentStore = require('./documentStore');
+
+// File-backed karaoke queue: the entry being sung now and the entries
+// waiting after it, each a song from the catalog plus a singer name.
+// Kept on disk so a reloaded player or queue page picks up where it was.
+const queuePath = documentStore.documentPath('queue.json');
+
+let current = null;
+let entries = [];
+
+// Load the queue from disk (called once at startup)
+function loadQueue() {
+  if (!fs.existsSync(queuePath)) {
+    current = null;
+    entries = [];
+    return getQueue();
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+    current = data.current || null;
+    entries = Array.isArray(data.entries) ? data.entries : [];
+    console.log(`Loaded karaoke queue with ${entries.length} waiting entries`);
+  } catch (error) {
+    console.error('Error loading karaoke queue:', error);
+    current = null;
+    entries = [];
+  }
+
+  return getQueue();
+}
+
+function saveQueue() {
+  documentStore.writeDocument('queue.json', { current: current, entries: entries });
+}
+
+function getQueue() {
+  return { current: current, entries: entries.slice() };
+}
+
+function getEntry(id) {
+  return entries.find(entry => entry.id === id) || null;
+}
+
+function addEntry(fields) {
+  const entry = {
+    id: crypto.randomBytes(4).toString('hex'),
+    songId: fields.songId,
+    singer: (fields.singer || '').trim(),
+    addedDate: new Date().toISOString()
+  };
+
+  entries.push(entry);
+  saveQueue();
+  return entry;
+}
+
+// Rename the singer and/or move the entry to a new 0-based position
+function updateEntry(id, changes) {
+  const entry = getEntry(id);
+  if (!entry) return null;
+
+  if (typeof changes.singer === 'string') {
+    entry.singer = changes.singer.trim();
+  }
+
+  if (typeof changes.position === 'number' && isFinite(changes.position)) {
+    const position = Math.max(0, Math.min(entries.length - 1, Math.round(changes.position)));
+    entries.splice(entries.indexOf(entry), 1);
+    entries.splice(position, 0, entry);
+  }
+
+  saveQueue();
+  return entry;
+}
+
+function removeEntry(id) {
+  const index = entries.findIndex(entry => entry.id === id);
+  if (index === -1) return null;
+
+  const [removed] = entries.splice(index, 1);
+  saveQueue();
+  return removed;
+}
+
+// Drop every entry for a song, e.g. when it is deleted from the library
+function removeSong(songId) {
+  const before = entries.length;
+  entries = entries.filter(entry => entry.songId !== songId);
+  if (current && current.songId === songId) {
+    current = null;
+  }
+  saveQueue();
+  return before - entries.length;
+}
+
+// Move the first waiting entry to "now singing". Null when nobody is
+// waiting, leaving the entry being sung where it is: a stray "next" from the
+// player or a remote must not end the song.
+function advance() {
+  if (entries.length === 0) return null;
+
+  current = entries.shift();
+  saveQueue();
+  return current;
+}
+
+module.exports = {
+  loadQueue,
+  getQueue,
+  getEntry,
+  addEntry,
+  updateEntry,
+  removeEntry,
+  removeSong,
+  advance
+};
@@ -0,0 +1,219 @@
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+// Storage driver for Amazon S3 and S3-compatible services (MinIO, R2,
+// Backblaze B2, ...), talking to the REST API directly with Signature
+// Version 4 signed requests. Stored files become objects in one bucket,
+// optionally under a key prefix; each keeps its SHA-256 as object metadata
+// so the hash index can be rebuilt without downloading everything.
+
+const emptyHash = crypto.createHash('sha256').update('').digest('hex');
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// encodeURIComponent leaves !'()* alone, which SigV4 wants encoded
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+const xmlEntities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return text.replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => xmlEntities[name]);
+}
+
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXml(match[1]) : null;
+}
+
+function readBody(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve(Buffer.concat(chunks)));
+    response.on('error', reject);
+  });
+}
+
+// options: { endpoint?, region, bucket, accessKeyId, secretAccessKey,
+// prefix?, forcePathStyle? }. Without an endpoint this talks to AWS itself;
+// MinIO and most self-hosted services need forcePathStyle.
+function createS3Storage(options) {
+  const region = options.region || 'us-east-1';
+  const endpoint = new URL(options.endpoint || `https://s3.${region}.amazonaws.com`);
+  const bucket = options.bucket;
+  const prefix = options.prefix || '';
+  const pathStyle = !!options.forcePathStyle;
+
+  if (!bucket || !options.accessKeyId || !options.secretAccessKey) {
+    throw new Error('S3 storage needs a bucket, an access key id and a secret access key');
+  }
+
+  const host = pathStyle ? endpoint.host : `${bucket}.${endpoint.host}`;
+  const bucketPath = pathStyle ? `/${encodeRfc3986(bucket)}` : '';
+  const objectPath = filename => `${bucketPath}/${(prefix + filename).split('/').map(encodeRfc3986).join('/')}`;
+
+  // Sign and send one request. Resolves with the response once its headers
+  // are in; error statuses reject with the service's own error code, except
+  // those listed in request.missingStatuses, which resolve as well.
+  function send(method, requestPath, request = {}) {
+    const query = request.query || {};
+    const body = request.body || null;
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+
+    const headers = Object.assign({}, request.headers, {
+      host: host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': body ? sha256Hex(body) : emptyHash
+    });
+    if (body) headers['content-length'] = String(body.length);
+
+    const queryString = Object.keys(query).sort()
+      .map(key => `${encodeRfc3986(key)}=${encodeRfc3986(String(query[key]))}`)
+      .join('&');
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = {};
+    for (const name of Object.keys(headers)) {
+      lowerHeaders[name.toLowerCase()] = String(headers[name]).trim();
+    }
+    const canonicalRequest = [
+      method,
+      requestPath || '/',
+      queryString,
+      headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+      headerNames.join(';'),
+      lowerHeaders['x-amz-content-sha256']
+    ].join('\n');
+
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    let signingKey = hmac('AWS4' + options.secretAccessKey, dateStamp);
+    for (const part of [region, 's3', 'aws4_request']) {
+      signingKey = hmac(signingKey, part);
+    }
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    lowerHeaders.authorization = `AWS4-HMAC-SHA256 Credential=${options.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${headerNames.join(';')}, Signature=${signature}`;
+
+    const transport = endpoint.protocol === 'http:' ? http : https;
+    return new Promise((resolve, reject) => {
+      const req = transport.request({
+        method: method,
+        hostname: endpoint.hostname,
+        port: endpoint.port || undefined,
+        path: requestPath + (queryString ? '?' + queryString : ''),
+        headers: lowerHeaders
+      }, response => {
+        if (response.statusCode < 300 || (request.missingStatuses || []).includes(response.statusCode)) {
+          return resolve(response);
+        }
+
+        readBody(response).then(text => {
+          const xml = text.toString('utf8');
+          const code = xmlValue(xml, 'Code') || `HTTP ${response.statusCode}`;
+          const message = xmlValue(xml, 'Message');
+          const error = new Error(`S3 ${method} ${requestPath} failed: ${code}${message ? ' - ' + message : ''}`);
+          error.statusCode = response.statusCode;
+          reject(error);
+        }, reject);
+      });
+      req.on('error', reject);
+      req.end(body || undefined);
+    });
+  }
+
+  return {
+    description: `S3 bucket ${bucket} at ${endpoint.host}${prefix ? ` (prefix ${prefix})` : ''}`,
+
+    // options: { contentType?, metadata? } with metadata as x-amz-meta-* pairs
+    async put(filename, data, putOptions = {}) {
+      const body = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const headers = { 'content-type': putOptions.contentType || 'application/octet-stream' };
+      for (const [name, value] of Object.entries(putOptions.metadata || {})) {
+        headers[`x-amz-meta-${name.toLowerCase()}`] = value;
+      }
+      await readBody(await send('PUT', objectPath(filename), { headers: headers, body: body }));
+    },
+
+    async get(filename) {
+      return readBody(await send('GET', objectPath(filename)));
+    },
+
+    // range: { start, end } in bytes, both inclusive
+    async stream(filename, range = {}) {
+      const headers = {};
+      if (range.start !== undefined) {
+        headers.range = `bytes=${range.start}-${range.end !== undefined ? range.end : ''}`;
+      }
+      return send('GET', objectPath(filename), { headers: headers });
+    },
+
+    // S3 answers a delete of a missing object with success as well
+    async delete(filename) {
+      await readBody(await send('DELETE', objectPath(filename)));
+    },
+
+    async exists(filename) {
+      return (await this.stat(filename)) !== null;
+    },
+
+    // { size, modified, metadata } or null when there is no such object.
+    // Without s3:ListBucket permission S3 answers 403 rather than 404 for a
+    // missing key, and a HEAD response has no body to tell that apart from
+    // any other refusal, so 403 counts as missing too; credentials that are
+    // wrong altogether still fail on put and list.
+    async stat(filename) {
+      const response = await send('HEAD', objectPath(filename), { missingStatuses: [403, 404] });
+      response.resume();
+      if (response.statusCode === 403 || response.statusCode === 404) return null;
+
+      const metadata = {};
+      for (const [name, value] of Object.entries(response.headers)) {
+        if (name.startsWith('x-amz-meta-')) metadata[name.slice('x-amz-meta-'.length)] = value;
+      }
+      return {
+        size: parseInt(response.headers['content-length'], 10),
+        modified: Date.parse(response.headers['last-modified']),
+        metadata: metadata
+      };
+    },
+
+    // Every stored object under the prefix as { filename, size, modified },
+    // following ListObjectsV2 pages to the end
+    async list() {
+      const files = [];
+      let continuationToken = null;
+      do {
+        const query = { 'list-type': 2, prefix: prefix };
+        if (continuationToken) query['continuation-token'] = continuationToken;
+        const xml = (await readBody(await send('GET', bucketPath || '/', { query: query }))).toString('utf8');
+
+        for (const entry of xml.match(/<Contents>[\s\S]*?<\/Contents>/g) || []) {
+          const filename = xmlValue(entry, 'Key').slice(prefix.length);
+          // Only the flat layout this driver writes; nothing in "subfolders"
+          if (!filename || filename.includes('/')) continue;
+          files.push({
+            filename: filename,
+            size: parseInt(xmlValue(entry, 'Size'), 10),
+            modified: Date.parse(xmlValue(entry, 'LastModified'))
+          });
+        }
+        continuationToken = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+      } while (continuationToken);
+      return files;
+    }
+  };
+}
+
+module.exports = {
+  createS3Storage
+};
@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+
+// Live playback sessions: one controller player publishes what it is
+// playing and where, any number of display players follow along, and phone
+// remotes send commands back to the controller. Sessions only matter while
+// a show is running, so they live in memory.
+//
+// Positions are pinned to the server clock: a state says the song was at
+// `position` seconds when the server clock read `at` ms, so a follower can
+// work out where the song is now from its own estimate of the server clock.
+const sessions = new Map(); // code -> session
+
+// Idle sessions with no followers are dropped after this long
+const sessionTimeout = 6 * 60 * 60 * 1000;
+
+// Codes people read off a screen, without look-alikes such as 0/O and 1/I
+const codeAlphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const codeLength = 5;
+
+function createCode() {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(codeLength), byte => codeAlphabet[byte % codeAlphabet.length]).join('');
+  } while (sessions.has(code));
+  return code;
+}
+
+function normalizeCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function createSession() {
+  removeStaleSessions();
+
+  const now = Date.now();
+  const session = {
+    code: createCode(),
+    // Only the page that created the session may publish to it
+    controlKey: crypto.randomBytes(16).toString('hex'),
+    state: { songId: null, playing: false, position: 0, at: now, offset: 0, volume: 1 },
+    listeners: new Set(),
+    commandListeners: new Set(), // the controller, while it is connected
+    createdDate: new Date(now).toISOString(),
+    lastActive: now
+  };
+
+  sessions.set(session.code, session);
+  console.log(`Created playback session ${session.code}`);
+  return session;
+}
+
+function getSession(code) {
+  return sessions.get(normalizeCode(code)) || null;
+}
+
+// Record a controller update and pass it on to every follower.
+// changes: { songId?, playing?, position?, at?, offset?, volume? }
+function publish(code, changes) {
+  const session = getSession(code);
+  if (!session) return null;
+
+  const now = Date.now();
+  const state = Object.assign({}, session.state);
+
+  if (changes.songId !== undefined) {
+    state.songId = changes.songId || null;
+  }
+  if (typeof changes.playing === 'boolean') {
+    state.playing = changes.playing;
+  }
+  if (typeof changes.offset === 'number' && isFinite(changes.offset)) {
+    state.offset = Math.round(changes.offset);
+  }
+  if (typeof changes.volume === 'number' && isFinite(changes.volume)) {
+    state.volume = Math.max(0, Math.min(1, changes.volume));
+  }
+  if (typeof changes.position === 'number' && isFinite(changes.position)) {
+    state.position = Math.max(0, changes.position);
+    // The controller's reading of the server clock when it sampled the
+    // position; never trust one from the future
+    state.at = typeof changes.at === 'number' && isFinite(changes.at) ? Math.min(changes.at, now) : now;
+  } else if (state.playing !== session.state.playing || state.songId !== session.state.songId) {
+    // Carry a playing song forward so pausing without a position stays put
+    state.position = positionAt(session.state, now);
+    state.at = now;
+  }
+
+  session.state = state;
+  session.lastActive = now;
+  session.listeners.forEach(listener => listener(state));
+  return state;
+}
+
+// Where the song described by state is at server time `time` (ms)
+function positionAt(state, time) {
+  if (!state.playing) return state.position;
+  return state.position + Math.max(0, time - state.at) / 1000;
+}
+
+// Call listener(state) on every update; returns a function that unsubscribes
+function subscribe(code, listener) {
+  const session = getSession(code);
+  if (!session) return null;
+
+  session.listeners.add(listener);
+  session.lastActive = Date.now();
+  return () => {
+    session.listeners.delete(listener);
+    session.lastActive = Date.now();
+  };
+}
+
+// Remote commands the controller carries out
+const commands = ['play', 'pause', 'toggle', 'nextLine', 'previousLine', 'offset', 'volume', 'nextSong'];
+
+// Same as subscribe, for the controller's command stream
+function subscribeCommands(code, listener) {
+  const session = getSession(code);
+  if (!session) return null;
+
+  session.commandListeners.add(listener);
+  session.lastActive = Date.now();
+  return () => {
+    session.commandListeners.delete(listener);
+    session.lastActive = Date.now();
+  };
+}
+
+// Pass a remote command on; false when no controller is listening.
+// command: { type, value? }
+function sendCommand(code, command) {
+  const session = getSession(code);
+  if (!session || session.commandListeners.size === 0) return false;
+
+  session.lastActive = Date.now();
+  session.commandListeners.forEach(listener => listener(command));
+  return true;
+}
+
+function removeSession(code) {
+  const session = getSession(code);
+  if (!session) return null;
+
+  sessions.delete(session.code);
+  console.log(`Closed playback session ${session.code}`);
+  return session;
+}
+
+function removeStaleSessions() {
+  const cutoff = Date.now() - sessionTimeout;
+  for (const session of sessions.values()) {
+    const idle = session.listeners.size === 0 && session.commandListeners.size === 0;
+    if (idle && session.lastActive < cutoff) {
+      removeSession(session.code);
+    }
+  }
+}
+
+// Drop a deleted song from any session still showing it
+function removeSong(songId) {
+  for (const session of sessions.values()) {
+    if (session.state.songId === songId) {
+      publish(session.code, { songId: null, playing: false, position: 0 });
+    }
+  }
+}
+
+module.exports = {
+  createSession,
+  getSession,
+  publish,
+  positionAt,
+  subscribe,
+  commands,
+  subscribeCommands,
+  sendCommand,
+  removeSession,
+  removeSong
+};
@@ -0,0 +1,337 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const documentStore = require('./documentStore');
+
+// File-backed song catalog. Every song pairs one audio file with one lyrics
+// file in storage, plus any number of extra lyric tracks (translations,
+// romanizations), and survives server restarts (see documentStore).
+const catalogPath = documentStore.documentPath('songs.json');
+
+let songs = [];
+
+// Load the catalog from disk (called once at startup)
+function loadSongs() {
+  if (!fs.existsSync(catalogPath)) {
+    songs = [];
+    console.log('No song catalog found, starting with an empty library');
+    return songs;
+  }
+
+  try {
+    const data = JSON.parse(fs.readFileSync(catalogPath, 'utf8'));
+    songs = Array.isArray(data.songs) ? data.songs : [];
+    console.log(`Loaded song catalog with ${songs.length} songs`);
+  } catch (error) {
+    console.error('Error loading song catalog:', error);
+    songs = [];
+  }
+
+  return songs;
+}
+
+function saveSongs() {
+  documentStore.writeDocument('songs.json', { songs: songs });
+}
+
+function listSongs() {
+  return songs.slice();
+}
+
+function getSong(id) {
+  return songs.find(song => song.id === id) || null;
+}
+
+function createSong(fields) {
+  const now = new Date().toISOString();
+  const song = {
+    id: crypto.randomBytes(6).toString('hex'),
+    title: fields.title || 'Unknown Song',
+    artist: fields.artist || '',
+    album: fields.album || '',
+    // From the audio file's tags; null when they could not be read
+    duration: fields.duration || null,
+    artworkFile: fields.artworkFile || null,
+    audioFile: fields.audioFile,
+    audioOriginalName: fields.audioOriginalName || fields.audioFile,
+    lyricsFile: fields.lyricsFile,
+    lyricsOriginalName: fields.lyricsOriginalName || fields.lyricsFile,
+    lyricsRevision: createRevision(fields.lyricsRevision),
+    tracks: (fields.tracks || []).map(createTrack),
+    uploadDate: now,
+    updatedDate: now
+  };
+
+  songs.push(song);
+  saveSongs();
+  console.log(`Added song ${song.id}: ${song.title}`);
+  return song;
+}
+
+// Only these fields may be changed after upload
+const editableFields = ['title', 'artist', 'album'];
+
+function updateSong(id, changes) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  for (const field of editableFields) {
+    if (typeof changes[field] === 'string') {
+      song[field] = changes[field].trim();
+    }
+  }
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return song;
+}
+
+// The song fields that make up its audio and its lyrics; replacing either
+// keeps the old values as a version that can be restored
+const versionFields = {
+  audio: ['audioFile', 'audioOriginalName', 'duration', 'artworkFile'],
+  lyrics: ['lyricsFile', 'lyricsOriginalName', 'lyricsRevision']
+};
+
+// Who saved a lyrics file and why. fields: { author, comment }
+function createRevision(fields = {}) {
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    author: (fields.author || '').trim().slice(0, 100) || null,
+    comment: (fields.comment || '').trim().slice(0, 500) || null,
+    date: new Date().toISOString()
+  };
+}
+
+// Replaced audio and lyrics, oldest first. Songs from before versions
+// existed have no versions array
+function listVersions(song) {
+  return song.versions || [];
+}
+
+function recordVersion(song, kind) {
+  // Lyrics versions keep their revision id so links to a revision still work
+  const revision = kind === 'lyrics' && song.lyricsRevision;
+  const version = { id: revision ? revision.id : crypto.randomBytes(4).toString('hex'), kind: kind };
+  for (const field of versionFields[kind]) {
+    version[field] = song[field] === undefined ? null : song[field];
+  }
+  version.replacedDate = new Date().toISOString();
+
+  song.versions = listVersions(song).concat(version);
+  return version;
+}
+
+// Point a song at a new lyrics file, e.g. after re-syncing in the editor.
+// revision: { author, comment } for the revision history
+function setLyricsFile(id, filename, originalName, revision) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  // Saving identical lyrics dedupes to the same file; nothing to keep
+  if (song.lyricsFile !== filename) {
+    recordVersion(song, 'lyrics');
+    song.lyricsRevision = createRevision(revision);
+  }
+  song.lyricsFile = filename;
+  song.lyricsOriginalName = originalName || filename;
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return song;
+}
+
+// Swap in a new audio master. fields: { audioFile, audioOriginalName,
+// duration, artworkFile }
+function setAudioFile(id, fields) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  if (song.audioFile !== fields.audioFile) {
+    recordVersion(song, 'audio');
+  }
+  song.audioFile = fields.audioFile;
+  song.audioOriginalName = fields.audioOriginalName || fields.audioFile;
+  song.duration = fields.duration || null;
+  song.artworkFile = fields.artworkFile || null;
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return song;
+}
+
+// Every saved lyrics file of a song, oldest first, the current one last.
+// Files from before revisions were recorded have no author, comment or date
+// and come first. Ordered by date rather than by place in versions[], which
+// restoring or removing a version reshuffles.
+function listLyricsRevisions(song) {
+  const toRevision = (source, id) => Object.assign({ id: id, author: null, comment: null, date: null }, source.lyricsRevision, {
+    lyricsFile: source.lyricsFile,
+    lyricsOriginalName: source.lyricsOriginalName,
+    current: source === song
+  });
+
+  return listVersions(song)
+    .filter(version => version.kind === 'lyrics')
+    .map(version => toRevision(version, version.id))
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .concat(toRevision(song, 'current'));
+}
+
+// Roll back to a kept version; what it replaces is kept in turn, so a
+// restore can itself be undone. Returns the song, or null if either is missing
+function restoreVersion(id, versionId) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  const version = listVersions(song).find(item => item.id === versionId);
+  if (!version) return null;
+
+  song.versions = listVersions(song).filter(item => item.id !== versionId);
+  recordVersion(song, version.kind);
+  for (const field of versionFields[version.kind]) {
+    song[field] = version[field];
+  }
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return song;
+}
+
+// What an extra lyric track is for
+const trackRoles = ['translation', 'romanization'];
+
+function createTrack(fields) {
+  return {
+    id: crypto.randomBytes(4).toString('hex'),
+    language: fields.language || '',
+    role: fields.role,
+    lyricsFile: fields.lyricsFile,
+    lyricsOriginalName: fields.lyricsOriginalName || fields.lyricsFile,
+    uploadDate: new Date().toISOString()
+  };
+}
+
+// Songs from before tracks existed have no tracks array
+function listTracks(song) {
+  return song.tracks || [];
+}
+
+function addTrack(id, fields) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  const track = createTrack(fields);
+  song.tracks = listTracks(song).concat(track);
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return track;
+}
+
+function removeTrack(id, trackId) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  const track = listTracks(song).find(item => item.id === trackId);
+  if (!track) return null;
+
+  song.tracks = listTracks(song).filter(item => item.id !== trackId);
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return track;
+}
+
+function deleteSong(id) {
+  const index = songs.findIndex(song => song.id === id);
+  if (index === -1) return null;
+
+  const [removed] = songs.splice(index, 1);
+  saveSongs();
+  console.log(`Deleted song ${removed.id}: ${removed.title}`);
+  return removed;
+}
+
+// Forget a kept version, e.g. to free the storage of an old master
+function removeVersion(id, versionId) {
+  const song = getSong(id);
+  if (!song) return null;
+
+  const version = listVersions(song).find(item => item.id === versionId);
+  if (!version) return null;
+
+  song.versions = listVersions(song).filter(item => item.id !== versionId);
+  song.updatedDate = new Date().toISOString();
+
+  saveSongs();
+  return version;
+}
+
+// Every stored file a song uses, and as what. Kept versions count, so a
+// file stays on disk for as long as it can be restored.
+function songFiles(song) {
+  const files = [
+    { filename: song.audioFile, role: 'audio' },
+    { filename: song.lyricsFile, role: 'lyrics' },
+    { filename: song.artworkFile, role: 'artwork' }
+  ];
+  for (const track of listTracks(song)) {
+    files.push({ filename: track.lyricsFile, role: 'track' });
+  }
+  for (const version of listVersions(song)) {
+    files.push({ filename: version.audioFile, role: 'audio version' });
+    files.push({ filename: version.lyricsFile, role: 'lyrics version' });
+    files.push({ filename: version.artworkFile, role: 'artwork version' });
+  }
+  return files.filter(file => file.filename);
+}
+
+// Reference counts for the whole catalog: filename -> [{ songId, title, role }]
+function fileReferences() {
+  const references = new Map();
+  for (const song of songs) {
+    for (const file of songFiles(song)) {
+      if (!references.has(file.filename)) references.set(file.filename, []);
+      references.get(file.filename).push({ songId: song.id, title: song.title, role: file.role });
+    }
+  }
+  return references;
+}
+
+// Original upload name for a stored file, if any song remembers it
+function findOriginalName(filename) {
+  for (const song of songs) {
+    if (song.audioFile === filename) return song.audioOriginalName;
+    if (song.lyricsFile === filename) return song.lyricsOriginalName;
+    for (const version of listVersions(song)) {
+      if (version.audioFile === filename) return version.audioOriginalName;
+      if (version.lyricsFile === filename) return version.lyricsOriginalName;
+    }
+    for (const track of listTracks(song)) {
+      if (track.lyricsFile === filename) return track.lyricsOriginalName;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  loadSongs,
+  listSongs,
+  getSong,
+  createSong,
+  updateSong,
+  setLyricsFile,
+  setAudioFile,
+  listVersions,
+  listLyricsRevisions,
+  restoreVersion,
+  removeVersion,
+  trackRoles,
+  listTracks,
+  addTrack,
+  removeTrack,
+  deleteSong,
+  songFiles,
+  fileReferences,
+  findOriginalName
+};
@@ -0,0 +1,61 @@
+const path = require('path');
+const { createLocalDiskStorage } = require('./localDiskStorage');
+const { createS3Storage } = require('./s3Storage');
+
+// Where uploaded and generated files are kept. Every driver offers the same
+// promise-based interface, with stored files addressed by plain filename:
+//
+//   put(filename, data, { contentType?, metadata? })
+//   get(filename)                    -> Buffer
+//   stream(filename, { start, end }) -> readable stream of that byte range
+//   delete(filename)
+//   exists(filename)                 -> boolean
+//   stat(filename)                   -> { size, modified, metadata } or null
+//   list()                           -> [{ filename, size, modified }]
+//
+// plus a description for the startup log. Which driver is used comes from
+// the environment; see readStorageConfig.
+const drivers = {
+  local: createLocalDiskStorage,
+  s3: createS3Storage
+};
+
+// STORAGE_DRIVER picks the driver, local by default.
+//   local: UPLOADS_DIR (default uploads/ next to server.js)
+//   s3:    S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_REGION,
+//          S3_ENDPOINT for S3-compatible services, S3_PREFIX for a key
+//          prefix, S3_FORCE_PATH_STYLE (on by default with an endpoint)
+function readStorageConfig(env) {
+  const driver = (env.STORAGE_DRIVER || 'local').trim().toLowerCase();
+  if (driver === 's3') {
+    return {
+      driver: driver,
+      endpoint: env.S3_ENDPOINT || null,
+      region: env.S3_REGION || env.AWS_REGION || 'us-east-1',
+      bucket: env.S3_BUCKET,
+      accessKeyId: env.S3_ACCESS_KEY_ID || env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.S3_SECRET_ACCESS_KEY || env.AWS_SECRET_ACCESS_KEY,
+      prefix: env.S3_PREFIX || '',
+      forcePathStyle: env.S3_FORCE_PATH_STYLE ? env.S3_FORCE_PATH_STYLE === 'true' : !!env.S3_ENDPOINT
+    };
+  }
+
+  return {
+    driver: driver,
+    directory: path.resolve(env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'))
+  };
+}
+
+function createStorage(config) {
+  const create = drivers[config.driver];
+  if (!create) {
+    throw new Error(`Unknown storage driver: ${config.driver}. Use ${Object.keys(drivers).join(' or ')}.`);
+  }
+  return create(config);
+}
+
+module.exports = {
+  drivers,
+  readStorageConfig,
+  createStorage
+};
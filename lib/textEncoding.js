@@ -0,0 +1,132 @@
+// Decoding of uploaded text files whose encoding nobody declared. A byte
+// order mark decides outright; otherwise UTF-16 is recognised from its zero
+// bytes, valid UTF-8 is taken as UTF-8, and anything else is tried in the
+// legacy encodings lyrics files usually come in, keeping the decoding whose
+// text looks most like real writing in that encoding's language.
+
+// Names accepted as an override, as the WHATWG TextDecoder labels them
+const supportedEncodings = [
+  'utf-8', 'utf-16le', 'utf-16be',
+  'gbk', 'gb18030', 'big5', 'shift_jis', 'euc-jp', 'euc-kr',
+  'windows-1252', 'windows-1251', 'iso-8859-2'
+];
+
+const boms = [
+  { encoding: 'utf-8', bytes: [0xef, 0xbb, 0xbf] },
+  { encoding: 'utf-16le', bytes: [0xff, 0xfe] },
+  { encoding: 'utf-16be', bytes: [0xfe, 0xff] }
+];
+
+// Characters that make up a large share of ordinary lyrics in each
+// language. Wrongly decoded bytes land all over the character set, so they
+// rarely hit these.
+const zhShared = '的一是不了人我在有他中大上你她地出也到要以就和那天心自去好都想看多小知道走生日月夜情今明光能再只把又起分手';
+const languageHints = {
+  gbk: new RegExp(`[${zhShared}们这个说来时为会爱风梦里让还没样过开无对从后见听远边给谁]`, 'g'),
+  big5: new RegExp(`[${zhShared}們這個說來時為會愛風夢裡讓還沒樣過開無對從後見聽遠邊給誰]`, 'g'),
+  // Japanese lyrics are full of kana, which other encodings rarely produce
+  shift_jis: /[ぁ-ゖァ-ヺー]/g,
+  'euc-kr': /[이는다에가을를하고지사랑나내너의도한서기어게아없그리우요해면로수대있시라거것말날마보니까네데자주오함께난널줘잖만들더처럼맘눈물번잊]/g
+};
+const legacyCandidates = ['gbk', 'big5', 'shift_jis', 'euc-kr'];
+
+// Share of the non-ASCII characters a CJK decoding must get from its
+// language's common characters to be believed over Windows-1252
+const minimumScore = 0.15;
+
+function decodeAs(buffer, encoding, fatal) {
+  try {
+    return new TextDecoder(encoding, { fatal: fatal }).decode(buffer);
+  } catch (error) {
+    return null;
+  }
+}
+
+function findBom(buffer) {
+  return boms.find(bom => bom.bytes.every((byte, index) => buffer[index] === byte)) || null;
+}
+
+// UTF-16 without a BOM: mostly-ASCII text has a zero in every other byte
+function guessUtf16(buffer) {
+  const sample = buffer.slice(0, 4096);
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i + 1 < sample.length; i += 2) {
+    if (sample[i] === 0) evenZeros++;
+    if (sample[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = Math.floor(sample.length / 2);
+  if (pairs === 0) return null;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+}
+
+// How much of a decoding's non-ASCII text is common characters of its language
+function languageScore(text, encoding) {
+  const nonAscii = text.replace(/[\x00-\x7f]/g, '').length;
+  if (nonAscii === 0) return 0;
+  const hits = (text.match(languageHints[encoding]) || []).length;
+  return hits / nonAscii;
+}
+
+// Work out how a buffer of text is encoded. Returns { encoding, source,
+// confidence } with source 'bom' or 'detected' and confidence from 0 to 1.
+function detectEncoding(buffer) {
+  const bom = findBom(buffer);
+  if (bom) {
+    return { encoding: bom.encoding, source: 'bom', confidence: 1 };
+  }
+
+  const utf16 = guessUtf16(buffer);
+  if (utf16) {
+    return { encoding: utf16, source: 'detected', confidence: 0.9 };
+  }
+
+  if (decodeAs(buffer, 'utf-8', true) !== null) {
+    return { encoding: 'utf-8', source: 'detected', confidence: 1 };
+  }
+
+  let best = { encoding: 'windows-1252', source: 'detected', confidence: 0 };
+  for (const encoding of legacyCandidates) {
+    const text = decodeAs(buffer, encoding, true);
+    if (text === null) continue;
+
+    const score = languageScore(text, encoding);
+    if (score > best.confidence) {
+      best = { encoding: encoding, source: 'detected', confidence: Math.round(score * 100) / 100 };
+    }
+  }
+
+  // Nothing reads as CJK: a Western single-byte file (é, ñ, ü) is the usual case
+  if (best.confidence < minimumScore) {
+    return { encoding: 'windows-1252', source: 'detected', confidence: 0.5 };
+  }
+  return best;
+}
+
+// Decode a text file to a string without its BOM. encoding overrides the
+// detection; it must be one of supportedEncodings. Returns { text, encoding,
+// source, confidence }, source being 'override' when one was given.
+function decodeText(buffer, encoding) {
+  let detected;
+  if (encoding) {
+    const name = encoding.trim().toLowerCase();
+    if (!supportedEncodings.includes(name)) {
+      throw new Error(`Unsupported encoding: ${encoding}. Use one of ${supportedEncodings.join(', ')}.`);
+    }
+    detected = { encoding: name, source: 'override', confidence: 1 };
+  } else {
+    detected = detectEncoding(buffer);
+  }
+
+  const text = new TextDecoder(detected.encoding).decode(buffer).replace(/^\uFEFF/, '');
+  return Object.assign({ text: text }, detected);
+}
+
+module.exports = {
+  supportedEncodings,
+  detectEncoding,
+  decodeText
+};
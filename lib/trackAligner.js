@@ -0,0 +1,54 @@
+// Line alignment for extra lyric tracks (translations, romanizations).
+// Each track line is matched to the primary line nearest in time, so the
+// two files only need roughly the same stamps, not the same line count.
+
+// Track lines further than this from every primary line are left out (seconds)
+const defaultTolerance = 1.5;
+
+// Index of the line whose timestamp is closest to time (lines are sorted)
+function nearestLineIndex(lines, time) {
+  if (lines.length === 0) return -1;
+
+  let low = 0;
+  let high = lines.length - 1;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (lines[middle].timestamp < time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+
+  // low is the first line at or after time; the one before may be closer
+  if (low > 0 && time - lines[low - 1].timestamp <= lines[low].timestamp - time) {
+    return low - 1;
+  }
+  return low;
+}
+
+// Returns { lines, unmatched }: one entry per primary line holding the track
+// text for it (or null), and how many track lines found no primary line
+function alignTrack(primaryLines, trackLines, tolerance) {
+  const limit = typeof tolerance === 'number' && tolerance >= 0 ? tolerance : defaultTolerance;
+  const aligned = primaryLines.map(() => null);
+  let unmatched = 0;
+
+  for (const trackLine of trackLines) {
+    const index = nearestLineIndex(primaryLines, trackLine.timestamp);
+    if (index === -1 || Math.abs(primaryLines[index].timestamp - trackLine.timestamp) > limit) {
+      unmatched++;
+      continue;
+    }
+
+    // Two track lines for one primary line are shown together
+    aligned[index] = aligned[index] ? `${aligned[index]} ${trackLine.text}` : trackLine.text;
+  }
+
+  return { lines: aligned, unmatched: unmatched };
+}
+
+module.exports = {
+  alignTrack,
+  defaultTolerance
+};
@@ -0,0 +1,119 @@
+// Page helpers shared by the queue page, the phone remote and the editor:
+// JSON requests to the API, the status message box, and the song library
+// list that the queue page and the remote both queue songs from.
+
+// fetch() for the JSON API; rejects with the server's error message
+async function requestJson(url, options = {}) {
+    const response = await fetch(url, Object.assign({
+        headers: { 'Content-Type': 'application/json' }
+    }, options));
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Request failed with status ${response.status}`);
+    }
+    return data;
+}
+
+// Show a message in the #output box, added to the first element matching
+// containerSelector the first time one is shown
+function showStatus(message, type = 'info', containerSelector = '.player-section') {
+    let output = document.getElementById('output');
+    if (!output) {
+        output = document.createElement('div');
+        output.id = 'output';
+        output.style.marginTop = '20px';
+        output.style.padding = '15px';
+        output.style.borderRadius = '8px';
+        document.querySelector(containerSelector).appendChild(output);
+    }
+
+    output.textContent = message;
+    output.style.display = 'block';
+    output.style.borderLeft = '4px solid ' + (type === 'error' ? '#f44336' : type === 'success' ? '#4CAF50' : '#2196F3');
+    output.style.background = type === 'error' ? '#ffebee' : type === 'success' ? '#e8f5e8' : '#e3f2fd';
+    output.style.color = type === 'error' ? '#c62828' : type === 'success' ? '#2e7d32' : '#1565c0';
+}
+
+function songName(song) {
+    if (!song) return 'Deleted song';
+    return song.artist ? `${song.artist} - ${song.title}` : song.title;
+}
+
+// The #libraryList of songs with a Queue button each, narrowed by the
+// #songFilter field and queued for the singer in #singerName.
+// options: { showMessage(message, type), onQueued(queue) }
+class SongLibrary {
+    constructor(options) {
+        this.showMessage = options.showMessage;
+        this.onQueued = options.onQueued || (() => {});
+        this.songs = [];
+
+        document.getElementById('songFilter').addEventListener('input', () => this.render());
+    }
+
+    async load() {
+        try {
+            const data = await requestJson('/songs');
+            this.songs = data.songs;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load library:', error);
+            this.showMessage('Could not load the song library: ' + error.message, 'error');
+        }
+    }
+
+    render() {
+        const list = document.getElementById('libraryList');
+        const filter = document.getElementById('songFilter').value.trim().toLowerCase();
+        list.textContent = '';
+
+        const songs = this.songs.filter(song => songName(song).toLowerCase().includes(filter));
+        if (songs.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'queue-item';
+            empty.textContent = this.songs.length === 0 ? 'No songs uploaded yet' : 'No matching songs';
+            list.appendChild(empty);
+            return;
+        }
+
+        songs.forEach(song => {
+            const item = document.createElement('li');
+            item.className = 'queue-item';
+
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = songName(song);
+
+            const addBtn = document.createElement('button');
+            addBtn.className = 'queue-btn';
+            addBtn.textContent = '＋ Queue';
+            addBtn.addEventListener('click', () => this.addSong(song));
+
+            item.appendChild(name);
+            item.appendChild(addBtn);
+            list.appendChild(item);
+        });
+    }
+
+    async addSong(song) {
+        const singer = document.getElementById('singerName').value.trim();
+        if (!singer) {
+            this.showMessage('Enter a singer name first.', 'error');
+            document.getElementById('singerName').focus();
+            return;
+        }
+
+        try {
+            const data = await requestJson('/queue', {
+                method: 'POST',
+                body: JSON.stringify({ songId: song.id, singer: singer })
+            });
+            this.showMessage(`Queued ${songName(song)} for ${singer}.`, 'success');
+            this.onQueued(data);
+        } catch (error) {
+            console.error('Queueing failed:', error);
+            this.showMessage('Could not queue the song: ' + error.message, 'error');
+        }
+    }
+}
@@ -0,0 +1,500 @@
+class LyricsEditor {
+    constructor() {
+        this.songId = this.getSongId();
+        this.audioElement = document.getElementById('audioPlayer');
+        this.lines = []; // { text, timestamp, loaded? } with timestamp null until stamped
+        this.cursor = 0; // index of the line the next tap stamps
+        this.history = []; // { index, previous } for undo
+        this.previewIndex = -1;
+        this.animationFrame = null;
+        this.renderer = new LyricsRenderer(document.getElementById('lyricsDisplay'));
+        this.timeline = new WaveformTimeline(document.getElementById('timelineCanvas'), this.audioElement, {
+            onChange: (index, previous) => this.handleTimelineChange(index, previous)
+        });
+
+        this.setupEventListeners();
+        this.loadSong();
+    }
+
+    getSongId() {
+        const match = window.location.pathname.match(/^\/editor\/([^/]+)/);
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+
+    setupEventListeners() {
+        document.getElementById('useLinesBtn').addEventListener('click', () => {
+            this.setLines(this.readTextLines(document.getElementById('lyricsInput').value));
+        });
+        document.getElementById('lyricsFile').addEventListener('change', (e) => this.loadTextFile(e.target));
+        document.getElementById('undoBtn').addEventListener('click', () => this.undo());
+        document.getElementById('saveBtn').addEventListener('click', () => this.save());
+        document.getElementById('zoomInBtn').addEventListener('click', () => this.timeline.zoomIn());
+        document.getElementById('zoomOutBtn').addEventListener('click', () => this.timeline.zoomOut());
+        document.getElementById('snapToggle').addEventListener('change', (e) => {
+            this.timeline.snapEnabled = e.target.checked;
+        });
+
+        // Remembered so each save in the history is credited without retyping
+        const authorInput = document.getElementById('authorInput');
+        authorInput.value = localStorage.getItem('editorAuthor') || '';
+        authorInput.addEventListener('change', () => localStorage.setItem('editorAuthor', authorInput.value.trim()));
+
+        this.audioElement.addEventListener('play', () => this.startPreview());
+        this.audioElement.addEventListener('pause', () => this.stopPreview());
+        this.audioElement.addEventListener('seeked', () => this.updatePreview());
+
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+    }
+
+    async loadSong() {
+        if (!this.songId) {
+            this.showMessage('No song selected. Upload a song first.', 'error');
+            return;
+        }
+
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(this.songId)}`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            this.audioElement.src = data.song.audioUrl;
+            this.timeline.load(data.song.audioUrl).catch(error => {
+                console.error('Waveform decoding failed:', error);
+                this.showMessage('Could not decode audio for the timeline: ' + error.message, 'error');
+            });
+            document.getElementById('songTitle').textContent = data.song.artist
+                ? `${data.song.artist} - ${data.song.title}`
+                : data.song.title;
+            document.getElementById('playerLink').href = `/player/${encodeURIComponent(this.songId)}`;
+
+            if (data.lyrics.length > 0) {
+                // Already timed: start from the existing stamps so lines can be re-stamped.
+                // Duet markers go back into the text wherever the singer changes.
+                let singer = null;
+                const lines = data.lyrics.map(line => {
+                    let text = line.text;
+                    if (line.singer && line.singer !== singer) {
+                        text = `${line.singer}: ${text}`;
+                        singer = line.singer;
+                    }
+                    // Word stamps and clear stamps only fit the line's own start,
+                    // so they are kept for as long as that is not re-stamped
+                    return {
+                        text: text,
+                        timestamp: line.timestamp,
+                        loaded: { timestamp: line.timestamp, words: line.words, endTime: line.endTime, singer: line.singer }
+                    };
+                });
+                document.getElementById('lyricsInput').value = lines.map(line => line.text).join('\n');
+                this.setLines(lines);
+
+                // The server times untimed uploads from the audio; say how rough that is
+                if (/auto-align/.test((data.metadata && data.metadata.creator) || '')) {
+                    this.showMessage('These timings are an automatic draft worked out from the audio. Play through and re-stamp or drag any lines that are off, then save.', 'info');
+                }
+            } else {
+                // Untimed upload: the raw file is the lyrics text
+                const text = await fetch(data.song.lyricsUrl).then(res => res.text());
+                document.getElementById('lyricsInput').value = text;
+                this.setLines(this.readTextLines(text));
+            }
+
+            this.loadRevisions();
+        } catch (error) {
+            console.error('Failed to load song:', error);
+            this.showMessage('Could not load song: ' + error.message, 'error');
+        }
+    }
+
+    loadTextFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('lyricsInput').value = reader.result;
+            this.setLines(this.readTextLines(reader.result));
+        };
+        reader.readAsText(file);
+    }
+
+    // One untimed line per non-empty row; LRC tags are dropped so old
+    // timings do not leak into the new sync
+    readTextLines(text) {
+        return text.split(/\r?\n/)
+            .filter(row => !/^\s*\[[a-zA-Z#]+:.*\]\s*$/.test(row))
+            .map(row => row.replace(/\[\d+:\d{1,2}(?:[.:]\d{1,3})?\]/g, '').replace(/<\d+:\d{1,2}(?:[.:]\d{1,3})?>/g, '').trim())
+            .filter(row => row)
+            .map(row => ({ text: row, timestamp: null }));
+    }
+
+    setLines(lines) {
+        this.lines = lines;
+        this.history = [];
+        this.cursor = this.nextUnstamped(0);
+        this.timeline.setLines(this.lines);
+        this.renderLines();
+        this.updatePreview();
+    }
+
+    nextUnstamped(from) {
+        for (let i = from; i < this.lines.length; i++) {
+            if (this.lines[i].timestamp === null) return i;
+        }
+        return Math.min(from, this.lines.length);
+    }
+
+    handleKeydown(event) {
+        // Leave typing in the lyrics box alone
+        const tag = event.target.tagName;
+        if (tag === 'TEXTAREA' || tag === 'INPUT') return;
+
+        if (event.key === ' ' || event.key === 'Enter') {
+            event.preventDefault();
+            this.stamp();
+        } else if (event.key === 'Backspace') {
+            event.preventDefault();
+            this.undo();
+        }
+    }
+
+    stamp() {
+        if (this.cursor >= this.lines.length) return;
+
+        if (this.audioElement.paused) {
+            this.showMessage('Play the song, then tap along as each line starts.', 'info');
+            return;
+        }
+
+        const line = this.lines[this.cursor];
+        this.history.push({ index: this.cursor, previous: line.timestamp });
+        line.timestamp = this.audioElement.currentTime;
+
+        this.cursor = this.nextUnstamped(this.cursor + 1);
+        this.renderLines();
+        this.updatePreview();
+    }
+
+    undo() {
+        const entry = this.history.pop();
+        if (!entry) return;
+
+        const line = this.lines[entry.index];
+        const undoneTime = line.timestamp;
+        line.timestamp = entry.previous;
+        this.cursor = entry.index;
+
+        // Rewind a little so the line can be tapped again straight away
+        if (undoneTime !== null) {
+            this.audioElement.currentTime = Math.max(0, undoneTime - 2);
+        }
+
+        this.renderLines();
+        this.updatePreview();
+    }
+
+    // Clicking a line makes it the next one to stamp
+    selectLine(index) {
+        this.cursor = index;
+        const line = this.lines[index];
+        if (line.timestamp !== null) {
+            this.audioElement.currentTime = Math.max(0, line.timestamp - 2);
+        }
+        this.renderLines();
+    }
+
+    // A marker was dragged on the timeline; make it undoable like a stamp
+    handleTimelineChange(index, previous) {
+        this.history.push({ index: index, previous: previous });
+        this.renderLines();
+        this.updatePreview();
+    }
+
+    renderLines() {
+        // Stamps changed, so the preview and timeline must redraw too
+        this.previewIndex = null;
+        this.timeline.draw();
+
+        const list = document.getElementById('syncLines');
+        list.textContent = '';
+
+        this.lines.forEach((line, index) => {
+            const item = document.createElement('li');
+            item.className = 'sync-line';
+            if (line.timestamp !== null) item.classList.add('stamped');
+            if (index === this.cursor) item.classList.add('current');
+
+            const stamp = document.createElement('span');
+            stamp.className = 'sync-stamp';
+            stamp.textContent = line.timestamp !== null ? this.formatTime(line.timestamp) : '--:--.--';
+
+            const text = document.createElement('span');
+            text.textContent = line.text;
+
+            item.appendChild(stamp);
+            item.appendChild(text);
+            item.addEventListener('click', () => this.selectLine(index));
+            list.appendChild(item);
+        });
+
+        const current = list.querySelector('.current');
+        if (current) {
+            current.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+
+    stampedLines() {
+        return this.lines
+            .filter(line => line.timestamp !== null)
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    startPreview() {
+        this.stopPreview();
+        const tick = () => {
+            this.updatePreview();
+            this.animationFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    stopPreview() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+    }
+
+    updatePreview() {
+        const lyrics = this.stampedLines();
+        const currentTime = this.audioElement.currentTime;
+        const index = this.renderer.findLineIndex(lyrics, currentTime);
+
+        if (index !== this.previewIndex) {
+            this.previewIndex = index;
+            if (index >= 0) {
+                this.renderer.renderLine(lyrics, index);
+            } else {
+                this.renderer.showText('');
+            }
+        }
+
+        if (index >= 0) {
+            this.renderer.updateWordProgress(currentTime);
+        }
+    }
+
+    // A stamped line as saved: untouched lines keep their word and clear stamps
+    toSavedLine(line) {
+        const saved = { text: line.text, timestamp: line.timestamp };
+        if (line.loaded && line.loaded.timestamp === line.timestamp) {
+            // Word stamps replace the text when saved, so the singer goes along separately
+            if (line.loaded.words) {
+                saved.words = line.loaded.words;
+                if (line.loaded.singer) saved.singer = line.loaded.singer;
+            }
+            if (line.loaded.endTime !== undefined) saved.endTime = line.loaded.endTime;
+        }
+        return saved;
+    }
+
+    async save() {
+        const lines = this.stampedLines().map(line => this.toSavedLine(line));
+        if (lines.length === 0) {
+            this.showMessage('Stamp at least one line before saving.', 'error');
+            return;
+        }
+
+        const unstamped = this.lines.length - lines.length;
+        if (unstamped > 0 && !confirm(`${unstamped} lines have no timestamp and will be left out. Save anyway?`)) {
+            return;
+        }
+
+        const saveBtn = document.getElementById('saveBtn');
+        saveBtn.disabled = true;
+
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(this.songId)}/lyrics`, {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(Object.assign({ lines: lines }, this.revisionInfo()))
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Save failed with status ${response.status}`);
+            }
+
+            this.showMessage(`Saved ${data.lyrics.length} timed lines.`, 'success');
+            document.getElementById('commentInput').value = '';
+            this.loadRevisions();
+        } catch (error) {
+            console.error('Save error:', error);
+            this.showMessage('Save failed: ' + error.message, 'error');
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    // Author and comment sent with a save or revert
+    revisionInfo() {
+        return {
+            author: document.getElementById('authorInput').value.trim(),
+            comment: document.getElementById('commentInput').value.trim()
+        };
+    }
+
+    async loadRevisions() {
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(this.songId)}/revisions`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            this.renderRevisions(data.revisions);
+        } catch (error) {
+            console.error('Failed to load revisions:', error);
+            this.showMessage('Could not load the revision history: ' + error.message, 'error');
+        }
+    }
+
+    renderRevisions(revisions) {
+        const list = document.getElementById('revisionList');
+        list.innerHTML = '';
+
+        revisions.forEach(revision => {
+            const item = document.createElement('li');
+            item.className = revision.current ? 'queue-item current' : 'queue-item';
+
+            const when = revision.date ? new Date(revision.date).toLocaleString() : 'Before revisions were kept';
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = `${revision.current ? 'Current · ' : ''}${when} · ${revision.author || 'Unknown'} · ${revision.comment || 'No comment'}`;
+            item.appendChild(name);
+
+            const buttons = [
+                { label: '⇄', title: 'Compare with the current lyrics', disabled: revision.current, action: () => this.showDiff(revision) },
+                { label: '▶', title: 'Preview in the player', action: () => this.previewRevision(revision) },
+                { label: '↺', title: 'Revert to this revision', disabled: revision.current, action: () => this.revert(revision) }
+            ];
+            buttons.forEach(button => {
+                const element = document.createElement('button');
+                element.className = 'queue-btn';
+                element.textContent = button.label;
+                element.title = button.title;
+                element.disabled = !!button.disabled;
+                element.addEventListener('click', button.action);
+                item.appendChild(element);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    previewRevision(revision) {
+        const query = revision.current ? '' : `?revision=${encodeURIComponent(revision.id)}`;
+        window.open(`/player/${encodeURIComponent(this.songId)}${query}`, '_blank');
+    }
+
+    async showDiff(revision) {
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(this.songId)}/revisions/diff?from=${encodeURIComponent(revision.id)}`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            this.renderDiff(data);
+        } catch (error) {
+            console.error('Failed to compare revisions:', error);
+            this.showMessage('Could not compare revisions: ' + error.message, 'error');
+        }
+    }
+
+    // Text edits and timing shifts as two lists, oldest revision on the left
+    renderDiff(diff) {
+        const container = document.getElementById('revisionDiff');
+        container.innerHTML = '';
+        container.style.display = 'block';
+
+        const { added, removed, changed, retimed } = diff.summary;
+        const heading = document.createElement('p');
+        heading.textContent = `Since ${diff.from.date ? new Date(diff.from.date).toLocaleString() : 'that revision'}: ` +
+            `${changed} changed, ${added} added, ${removed} removed, ${retimed} re-timed`;
+        container.appendChild(heading);
+
+        const stamp = line => `[${this.formatTime(line.timestamp)}]`;
+        const addList = (items) => {
+            if (items.length === 0) return;
+            const list = document.createElement('ul');
+            items.forEach(([className, text]) => {
+                const item = document.createElement('li');
+                item.className = className;
+                item.textContent = text;
+                list.appendChild(item);
+            });
+            container.appendChild(list);
+        };
+
+        addList(diff.text.map(change => {
+            switch (change.type) {
+                case 'added': return ['diff-added', `+ ${stamp(change.to)} ${change.to.text}`];
+                case 'removed': return ['diff-removed', `− ${stamp(change.from)} ${change.from.text}`];
+                default: return ['diff-changed', `~ ${stamp(change.to)} ${change.from.text} → ${change.to.text}`];
+            }
+        }));
+        addList(diff.timing.map(shift => [
+            'diff-timing',
+            `⏱ ${stamp(shift.from)} → ${stamp(shift.to)} (${shift.shift > 0 ? '+' : ''}${shift.shift.toFixed(2)}s) ${shift.to.text}`
+        ]));
+    }
+
+    async revert(revision) {
+        if (!confirm('Revert the lyrics to this revision? The current lyrics stay in the history.')) {
+            return;
+        }
+
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(this.songId)}/revisions/${encodeURIComponent(revision.id)}/revert`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.revisionInfo())
+            });
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Revert failed with status ${response.status}`);
+            }
+
+            document.getElementById('commentInput').value = '';
+            document.getElementById('revisionDiff').style.display = 'none';
+            await this.loadSong();
+            this.showMessage(`Reverted to the revision of ${revision.date ? new Date(revision.date).toLocaleString() : 'an earlier version'}.`, 'success');
+        } catch (error) {
+            console.error('Revert error:', error);
+            this.showMessage('Revert failed: ' + error.message, 'error');
+        }
+    }
+
+    formatTime(seconds) {
+        const centiseconds = Math.round(seconds * 100);
+        const minutes = Math.floor(centiseconds / 6000);
+        const secs = Math.floor(centiseconds / 100) % 60;
+        return `${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${(centiseconds % 100).toString().padStart(2, '0')}`;
+    }
+
+    showMessage(message, type = 'info') {
+        showStatus(message, type);
+    }
+}
+
+// Initialize the editor when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new LyricsEditor();
+});
@@ -0,0 +1,162 @@
+// Monophonic pitch estimation (YIN) with confidence gating and smoothing.
+// Works in the browser as globals and in Node through module.exports.
+
+const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+// Frequency in Hz -> { name: 'A4', midi: 69, cents: 0 }
+function frequencyToNote(frequency) {
+    const midiFloat = 69 + 12 * Math.log2(frequency / 440);
+    const midi = Math.round(midiFloat);
+    const cents = Math.round((midiFloat - midi) * 100);
+    const octave = Math.floor(midi / 12) - 1;
+    return {
+        name: `${noteNames[((midi % 12) + 12) % 12]}${octave}`,
+        midi: midi,
+        cents: cents
+    };
+}
+
+function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+// "A4 +12¢"
+function formatNote(frequency) {
+    const note = frequencyToNote(frequency);
+    const sign = note.cents >= 0 ? '+' : '−';
+    return `${note.name} ${sign}${Math.abs(note.cents)}¢`;
+}
+
+class PitchDetector {
+    constructor(options = {}) {
+        this.minFrequency = options.minFrequency || 70; // Hz, low male voice
+        this.maxFrequency = options.maxFrequency || 1100; // Hz, high soprano
+        this.threshold = options.threshold || 0.15; // YIN dip threshold
+        this.minRms = options.minRms || 0.01; // below this the frame is silence
+    }
+
+    // YIN over one frame of time-domain samples (Float32Array).
+    // Returns { frequency, confidence } with frequency null when unvoiced.
+    detect(buffer, sampleRate) {
+        let rms = 0;
+        for (let i = 0; i < buffer.length; i++) {
+            rms += buffer[i] * buffer[i];
+        }
+        rms = Math.sqrt(rms / buffer.length);
+        if (rms < this.minRms) {
+            return { frequency: null, confidence: 0 };
+        }
+
+        const windowSize = Math.floor(buffer.length / 2);
+        const tauMin = Math.max(2, Math.floor(sampleRate / this.maxFrequency));
+        const tauMax = Math.min(windowSize, Math.ceil(sampleRate / this.minFrequency));
+        const difference = new Float32Array(tauMax + 1);
+
+        // Difference function
+        for (let tau = 1; tau <= tauMax; tau++) {
+            let sum = 0;
+            for (let i = 0; i < windowSize; i++) {
+                const delta = buffer[i] - buffer[i + tau];
+                sum += delta * delta;
+            }
+            difference[tau] = sum;
+        }
+
+        // Cumulative mean normalized difference
+        const normalized = new Float32Array(tauMax + 1);
+        normalized[0] = 1;
+        let runningSum = 0;
+        for (let tau = 1; tau <= tauMax; tau++) {
+            runningSum += difference[tau];
+            normalized[tau] = runningSum > 0 ? difference[tau] * tau / runningSum : 1;
+        }
+
+        // First dip under the threshold, followed down to its local minimum
+        let bestTau = -1;
+        for (let tau = tauMin; tau <= tauMax; tau++) {
+            if (normalized[tau] < this.threshold) {
+                while (tau + 1 <= tauMax && normalized[tau + 1] < normalized[tau]) {
+                    tau++;
+                }
+                bestTau = tau;
+                break;
+            }
+        }
+        if (bestTau === -1) {
+            return { frequency: null, confidence: 0 };
+        }
+
+        // Parabolic interpolation for sub-sample precision
+        let refinedTau = bestTau;
+        if (bestTau > 1 && bestTau < tauMax) {
+            const previous = normalized[bestTau - 1];
+            const current = normalized[bestTau];
+            const next = normalized[bestTau + 1];
+            const denominator = previous - 2 * current + next;
+            if (denominator !== 0) {
+                refinedTau = bestTau + (previous - next) / (2 * denominator);
+            }
+        }
+
+        return {
+            frequency: sampleRate / refinedTau,
+            confidence: Math.max(0, Math.min(1, 1 - normalized[bestTau]))
+        };
+    }
+}
+
+// Turns noisy per-frame estimates into a stable pitch: low-confidence frames
+// are ignored, a short median removes octave blips and an exponential
+// average in the semitone domain smooths the rest
+class PitchTracker {
+    constructor(options = {}) {
+        this.minConfidence = options.minConfidence || 0.8;
+        this.historySize = options.historySize || 5;
+        this.holdFrames = options.holdFrames || 8; // keep the last pitch through short gaps
+        this.smoothing = options.smoothing || 0.3;
+        this.history = [];
+        this.missedFrames = 0;
+        this.midi = null;
+    }
+
+    // Feed one detector result; returns the smoothed frequency or null
+    update(result) {
+        if (!result.frequency || result.confidence < this.minConfidence) {
+            this.missedFrames++;
+            if (this.missedFrames > this.holdFrames) {
+                this.reset();
+            }
+            return this.frequency();
+        }
+
+        this.missedFrames = 0;
+        this.history.push(frequencyToMidi(result.frequency));
+        if (this.history.length > this.historySize) {
+            this.history.shift();
+        }
+
+        const sorted = this.history.slice().sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+
+        // Jump straight to a new note instead of gliding across a large interval
+        if (this.midi === null || Math.abs(median - this.midi) > 2) {
+            this.midi = median;
+        } else {
+            this.midi += (median - this.midi) * this.smoothing;
+        }
+        return this.frequency();
+    }
+
+    frequency() {
+        return this.midi === null ? null : 440 * Math.pow(2, (this.midi - 69) / 12);
+    }
+
+    reset() {
+        this.history = [];
+        this.midi = null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PitchDetector, PitchTracker, frequencyToNote, frequencyToMidi, formatNote };
+}
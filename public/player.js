@@ -6,20 +6,184 @@ class KaraokePlayer {
         this.audioElement = null;
         this.lyrics = [];
         this.currentLyricIndex = -1;
+        this.renderer = new LyricsRenderer(document.getElementById('lyricsDisplay'));
+        this.partnerRenderer = new LyricsRenderer(document.getElementById('partnerDisplay'));
+        this.partnerIndex = -1;
+        this.singers = {}; // duet voice names from [singers:], e.g. { M: 'John' }
+        this.tracks = []; // translation/romanization tracks, aligned to this.lyrics
+        this.hiddenTracks = new Set(JSON.parse(localStorage.getItem('hiddenLyricTracks') || '[]'));
+        this.savedOffset = 0; // ms, the song's [offset:] already applied to this.lyrics
+        this.offset = 0; // ms, live adjustment on top (positive shows lyrics sooner)
+        this.offsetStep = 50;
+        this.linesNudged = false;
+        this.layouts = ['single', 'context', 'sheet'];
+        this.layoutNames = { single: 'Single Line', context: 'Next Lines', sheet: 'Full Sheet' };
+        this.layout = localStorage.getItem('lyricsLayout') || 'single';
+        this.sheet = document.getElementById('lyricsSheet');
+        this.sheetRenderer = null;
+        this.pitchDetector = new PitchDetector();
+        this.pitchTracker = new PitchTracker();
+        this.pitchBuffer = null;
+        this.currentPitch = null; // Hz, the track's vocal pitch this frame
+        this.singing = false;
+        this.micStream = null;
+        this.micSource = null;
+        this.micAnalyser = null;
+        this.micBuffer = null;
+        this.micDetector = new PitchDetector();
+        this.micTracker = new PitchTracker();
+        this.scoring = null;
+        this.scoredLineIndex = -1;
+        this.seekStep = 5; // seconds for the arrow keys
+        this.queueEntry = null; // karaoke queue entry being sung, if any
+        this.upNextDelay = 10; // seconds the "Up next" screen counts down
+        this.upNextTimer = null;
+        this.serverClock = new ServerClock();
+        this.controlledSession = null; // { code, controlKey } while this player leads a session
+        this.publishInterval = 2000; // ms between position updates while playing
+        this.publishTimer = null;
+        this.followedCode = null; // session code when this page is a display
+        this.sessionState = null; // latest state from the followed session
+        this.sessionEvents = null;
+        this.commandEvents = null;
+        this.driftCorrector = new DriftCorrector();
+        this.loadingSongId = null;
+        // Earlier lyrics revision opened from the editor, shown instead of the current lyrics
+        this.previewRevision = new URLSearchParams(window.location.search).get('revision');
+        this.isSeeking = false;
         this.isPlaying = false;
+        // One frame request each for the lyrics and visualizer loops
         this.animationFrame = null;
+        this.visualizerFrame = null;
         this.canvas = document.getElementById('visualizerCanvas');
         this.canvasContext = this.canvas.getContext('2d');
         this.particlesContainer = document.getElementById('particlesContainer');
         
         this.initializePlayer();
         this.setupEventListeners();
+        this.setLayout(this.layout);
         this.createParticles();
         this.startVisualization();
     }
 
     initializePlayer() {
-        // Get data from URL parameters or sessionStorage
+        this.audioElement = document.getElementById('audioPlayer');
+
+        const displayMatch = window.location.pathname.match(/^\/display\/([^/]+)/);
+        const songId = this.getSongId();
+        if (displayMatch) {
+            this.followSession(decodeURIComponent(displayMatch[1]));
+            return;
+        }
+
+        if (songId) {
+            this.loadSong(songId);
+        } else {
+            this.loadFromUrlParams();
+        }
+        // A revision preview is a private check, not something to show on displays
+        if (!this.previewRevision) {
+            this.startSession();
+        }
+    }
+
+    getSongId() {
+        // Supports both /player/:songId and /player?song=<id>
+        const match = window.location.pathname.match(/^\/player\/([^/]+)/);
+        if (match) {
+            return decodeURIComponent(match[1]);
+        }
+        return new URLSearchParams(window.location.search).get('song');
+    }
+
+    async loadSong(songId) {
+        // Only the song the page was opened with previews a revision, not queued ones
+        const revision = songId === this.getSongId() ? this.previewRevision : null;
+        const query = revision ? `?revision=${encodeURIComponent(revision)}` : '';
+
+        try {
+            const response = await fetch(`/songs/${encodeURIComponent(songId)}${query}`);
+            const data = await response.json();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            this.songId = songId;
+            this.audioElement.src = data.song.audioUrl;
+            this.setLyrics(data.lyrics, data.metadata);
+            this.setTracks(data.tracks || []);
+            this.publishState();
+            // Saving an offset would write to the current lyrics, not the previewed ones
+            document.getElementById('saveOffsetBtn').style.display = data.revision ? 'none' : '';
+
+            // onclick rather than a listener: the queue loads songs into the same page
+            const editBtn = document.getElementById('editBtn');
+            editBtn.style.display = '';
+            editBtn.onclick = () => {
+                window.location.href = `/editor/${encodeURIComponent(songId)}`;
+            };
+
+            // Fall back to the LRC [ti:]/[ar:] headers for older catalog entries
+            const metadata = data.metadata || {};
+            const title = data.song.title || metadata.title;
+            const artist = data.song.artist || metadata.artist;
+            let songName = artist ? `${artist} - ${title}` : title;
+            if (data.revision) {
+                const when = data.revision.date ? new Date(data.revision.date).toLocaleString() : 'an earlier version';
+                songName += ` (revision of ${when})`;
+            }
+
+            const entry = await this.findQueueEntry(songId);
+            document.getElementById('songTitle').textContent = entry && entry.singer
+                ? `🎵 ${songName} · 🎤 ${entry.singer}`
+                : `🎵 ${songName}`;
+            this.showArtwork(data.song.artworkUrl);
+
+            console.log('Player loaded song', songId, 'with:', this.lyrics.length, 'lyrics');
+        } catch (error) {
+            console.error('Failed to load song:', error);
+            alert('Could not load song: ' + error.message);
+        }
+    }
+
+    // Cover art as album art and a blurred backdrop; cleared for songs
+    // without any, since the queue loads songs into the same page
+    showArtwork(url) {
+        const albumArt = document.getElementById('albumArt');
+        const backdrop = document.getElementById('artworkBackdrop');
+
+        if (url) {
+            albumArt.src = url;
+            albumArt.style.display = '';
+            backdrop.style.backgroundImage = `url("${url}")`;
+            backdrop.classList.add('visible');
+        } else {
+            albumArt.removeAttribute('src');
+            albumArt.style.display = 'none';
+            backdrop.classList.remove('visible');
+        }
+    }
+
+    setLyrics(lyrics, metadata) {
+        this.lyrics = lyrics;
+        this.singers = (metadata && metadata.singers) || {};
+        this.savedOffset = (metadata && metadata.offset) || 0;
+        this.offset = 0;
+        this.linesNudged = false;
+        this.currentLyricIndex = -1;
+        this.updateOffsetDisplay();
+        this.buildSheet();
+        this.updateSeekTicks();
+
+        if (this.scoring) {
+            this.scoring = new ScoringEngine(this.lyrics);
+            this.scoredLineIndex = -1;
+        }
+    }
+
+    loadFromUrlParams() {
+        // Fallback for old links that carry the audio URL and lyrics JSON in the query string
         const urlParams = new URLSearchParams(window.location.search);
         const audioUrl = urlParams.get('audio') || sessionStorage.getItem('audioUrl');
         const lyricsData = urlParams.get('lyrics') || sessionStorage.getItem('lyrics');
@@ -29,9 +193,8 @@ class KaraokePlayer {
             return;
         }
 
-        this.audioElement = document.getElementById('audioPlayer');
         this.audioElement.src = audioUrl;
-        this.lyrics = JSON.parse(lyricsData);
+        this.setLyrics(JSON.parse(lyricsData));
 
         // Set song title from audio filename
         const songName = this.extractSongName(audioUrl);
@@ -41,8 +204,9 @@ class KaraokePlayer {
     }
 
     extractSongName(url) {
-        const filename = url.split('/').pop() || 'Unknown Song';
-        return filename.replace(/\.[^/.]+$/, "").replace(/[-_]/g, " ");
+        const filename = decodeURIComponent(url.split('/').pop() || '') || 'Unknown Song';
+        // Stored uploads are named "<timestamp>-<original name>"
+        return filename.replace(/^\d{10,}-/, '').replace(/\.[^/.]+$/, "").replace(/[-_]/g, " ");
     }
 
     setupEventListeners() {
@@ -54,23 +218,212 @@ class KaraokePlayer {
         restartBtn.addEventListener('click', () => this.restart());
         backBtn.addEventListener('click', () => window.history.back());
 
+        document.getElementById('offsetMinusBtn').addEventListener('click', () => this.nudgeOffset(-this.offsetStep));
+        document.getElementById('offsetPlusBtn').addEventListener('click', () => this.nudgeOffset(this.offsetStep));
+        document.getElementById('saveOffsetBtn').addEventListener('click', () => this.saveOffset());
+        document.getElementById('layoutBtn').addEventListener('click', () => this.nextLayout());
+        document.getElementById('singBtn').addEventListener('click', () => this.toggleSinging());
+        document.getElementById('soundBtn').addEventListener('click', () => this.toggleSound());
+        document.getElementById('pairing').addEventListener('click', () => {
+            document.getElementById('pairing').classList.toggle('expanded');
+        });
+        document.getElementById('closeScoreBtn').addEventListener('click', () => {
+            document.getElementById('scoreSummary').style.display = 'none';
+        });
+        document.addEventListener('keydown', (e) => this.handleKeydown(e));
+
         this.audioElement.addEventListener('loadedmetadata', () => {
             this.setupAudioAnalysis();
+            this.updateSeekTicks();
+            this.updateTimeDisplay(this.audioElement.currentTime);
+        });
+
+        // Recompute the current line after every seek, backwards included
+        this.audioElement.addEventListener('seeked', () => {
+            this.renderLyricsAt(this.audioElement.currentTime);
+            this.publishState();
         });
 
+        this.setupSeekBar();
+
         this.audioElement.addEventListener('ended', () => {
+            // A display waits for the controller to pick the next song
+            if (this.followedCode) {
+                this.pause();
+                return;
+            }
+            if (this.singing) {
+                this.showScoreSummary();
+            }
             this.stop();
+            this.showUpNext();
         });
 
+        document.getElementById('upNextStartBtn').addEventListener('click', () => this.advanceQueue());
+        document.getElementById('upNextCancelBtn').addEventListener('click', () => this.cancelUpNext());
+
         // Handle page visibility changes
         document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
+            if (document.hidden && !this.followedCode) {
                 this.pause();
             }
         });
     }
 
+    handleKeydown(event) {
+        // Displays are driven by the session, not the keyboard
+        if (this.followedCode) return;
+
+        const tag = event.target.tagName;
+        if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') return;
+        // A focused button handles its own Space/Enter
+        if (tag === 'BUTTON' && (event.key === ' ' || event.key === 'Enter')) return;
+
+        switch (event.key) {
+            case ' ':
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                this.seekBy(-this.seekStep);
+                break;
+            case 'ArrowRight':
+                this.seekBy(this.seekStep);
+                break;
+            case 'n':
+            case 'N':
+                this.seekToLine(this.currentLyricIndex + 1);
+                break;
+            case 'p':
+            case 'P':
+                this.seekToLine(Math.max(0, this.currentLyricIndex - 1));
+                break;
+            case 'r':
+            case 'R':
+                this.restart();
+                break;
+            case '+':
+            case '=':
+                this.nudgeOffset(this.offsetStep);
+                break;
+            case '-':
+            case '_':
+                this.nudgeOffset(-this.offsetStep);
+                break;
+            case '[':
+                this.nudgeCurrentLine(-this.offsetStep);
+                break;
+            case ']':
+                this.nudgeCurrentLine(this.offsetStep);
+                break;
+            default:
+                return;
+        }
+        event.preventDefault();
+    }
+
+    // Song time as the lyrics see it, after the live offset
+    lyricsTime(currentTime) {
+        return currentTime + this.offset / 1000;
+    }
+
+    nudgeOffset(amount) {
+        this.offset += amount;
+        this.updateOffsetDisplay();
+        this.updateSeekTicks();
+        this.publishState();
+    }
+
+    // Move only the line being sung (negative is earlier). It stops short
+    // of the lines around it: line lookup, rendering and the saved file all
+    // rely on the lines staying in time order.
+    nudgeCurrentLine(amount) {
+        const index = this.currentLyricIndex;
+        const lyric = this.lyrics[index];
+        if (!lyric) return;
+
+        const gap = 0.01; // seconds kept from the neighbouring lines
+        const previous = this.lyrics[index - 1];
+        const next = this.lyrics[index + 1];
+        const earliest = previous ? previous.timestamp + gap : 0;
+        const latest = next ? next.timestamp - gap : Infinity;
+        let seconds = amount / 1000;
+        if (seconds > 0) {
+            seconds = Math.min(seconds, Math.max(0, latest - lyric.timestamp));
+        } else {
+            seconds = Math.max(seconds, Math.min(0, earliest - lyric.timestamp));
+        }
+        if (seconds === 0) return;
+
+        this.shiftLyric(lyric, seconds);
+        this.linesNudged = true;
+        this.renderer.renderLine(this.lyrics, this.currentLyricIndex);
+        this.updateOffsetDisplay();
+    }
+
+    shiftLyric(lyric, seconds) {
+        lyric.timestamp = Math.max(0, lyric.timestamp + seconds);
+        if (lyric.words) {
+            lyric.words.forEach(word => { word.time = Math.max(0, word.time + seconds); });
+        }
+        if (lyric.endTime !== undefined) {
+            lyric.endTime = Math.max(0, lyric.endTime + seconds);
+        }
+    }
+
+    updateOffsetDisplay() {
+        const total = this.savedOffset + this.offset;
+        const unsaved = this.offset !== 0 || this.linesNudged;
+        document.getElementById('offsetDisplay').textContent =
+            `Offset: ${total > 0 ? '+' : ''}${total} ms${unsaved ? ' *' : ''}`;
+    }
+
+    async saveOffset() {
+        if (!this.songId) return;
+
+        try {
+            const songUrl = `/songs/${encodeURIComponent(this.songId)}`;
+
+            const offset = this.savedOffset + this.offset;
+
+            // Per-line nudges are saved as new line stamps, sent without the
+            // saved offset, which goes back in as [offset:] in the same save
+            let data;
+            if (this.linesNudged) {
+                const lines = JSON.parse(JSON.stringify(this.lyrics));
+                lines.forEach(lyric => this.shiftLyric(lyric, this.savedOffset / 1000));
+                data = await this.sendJson(`${songUrl}/lyrics`, { lines: lines, offset: offset });
+            } else {
+                data = await this.sendJson(`${songUrl}/offset`, { offset: offset });
+            }
+            this.setLyrics(data.lyrics, data.metadata);
+            console.log('Saved offset', this.savedOffset, 'ms for song', this.songId);
+        } catch (error) {
+            console.error('Saving offset failed:', error);
+            alert('Could not save offset: ' + error.message);
+        }
+    }
+
+    async sendJson(url, body, method = 'PUT') {
+        const response = await fetch(url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+
+        if (!response.ok || !data.success) {
+            const error = new Error(data.error || `Request failed with status ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
     setupAudioAnalysis() {
+        // A media element can only ever feed one source node, so the graph is
+        // built once and reused when the queue loads the next song
+        if (this.audioContext) return;
+
         try {
             this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
             this.analyser = this.audioContext.createAnalyser();
@@ -79,6 +432,7 @@ class KaraokePlayer {
             // Configure analyser for pitch detection
             this.analyser.fftSize = 2048; // Larger FFT for better frequency resolution
             this.analyser.smoothingTimeConstant = 0.8;
+            this.pitchBuffer = new Float32Array(this.analyser.fftSize);
             
             this.source.connect(this.analyser);
             this.analyser.connect(this.audioContext.destination);
@@ -117,6 +471,7 @@ class KaraokePlayer {
             document.getElementById('playBtn').textContent = '⏸ Pause';
             this.startLyricsSync();
             this.startVisualization();
+            this.publishState();
         }).catch(error => {
             console.error('Play failed:', error);
         });
@@ -127,13 +482,23 @@ class KaraokePlayer {
         this.isPlaying = false;
         document.getElementById('playBtn').textContent = '▶ Play';
         this.stopLyricsSync();
+        this.publishState();
     }
 
     restart() {
         this.audioElement.currentTime = 0;
         this.currentLyricIndex = -1;
+        if (this.scoring) {
+            this.scoring.reset();
+            this.scoredLineIndex = -1;
+            this.updateScoreDisplay(null);
+        }
         this.updateLyricsDisplay('');
+        this.updateSheet(-1);
         this.updateBackground(false);
+        this.applyVoice(this.renderer.element, null);
+        this.updatePartner(-1);
+        this.updateTrackLines(-1);
         
         if (this.isPlaying) {
             this.audioElement.play();
@@ -145,11 +510,18 @@ class KaraokePlayer {
         this.audioElement.currentTime = 0;
         this.currentLyricIndex = -1;
         this.updateLyricsDisplay('');
+        this.updateSheet(-1);
         this.updateBackground(false);
+        this.applyVoice(this.renderer.element, null);
+        this.updatePartner(-1);
+        this.updateTrackLines(-1);
         document.getElementById('playBtn').textContent = '▶ Play';
     }
 
+    // Cancels a loop already running first, so however often play() runs
+    // (remote skips, queue advances) each frame is rendered and scored once
     startLyricsSync() {
+        this.stopLyricsSync();
         this.updateLyrics();
     }
 
@@ -163,17 +535,31 @@ class KaraokePlayer {
     updateLyrics() {
         if (!this.isPlaying || !this.audioElement) return;
 
-        const currentTime = this.audioElement.currentTime;
+        const newLyricIndex = this.renderLyricsAt(this.audioElement.currentTime);
+
+        // Update text scale based on pitch
+        if (this.analyser && newLyricIndex >= 0) {
+            this.updateTextScale();
+        }
+
+        if (this.singing) {
+            this.updateSinging(newLyricIndex);
+        }
+
+        if (this.followedCode) {
+            this.correctDrift();
+        }
+
+        this.animationFrame = requestAnimationFrame(() => this.updateLyrics());
+    }
+
+    // Show the lyrics for a point in the song; also used after seeking while paused
+    renderLyricsAt(currentTime) {
         this.updateTimeDisplay(currentTime);
 
         // Find current lyric
-        let newLyricIndex = -1;
-        for (let i = this.lyrics.length - 1; i >= 0; i--) {
-            if (currentTime >= this.lyrics[i].timestamp) {
-                newLyricIndex = i;
-                break;
-            }
-        }
+        const lyricsTime = this.lyricsTime(currentTime);
+        const newLyricIndex = this.renderer.findLineIndex(this.lyrics, lyricsTime);
 
         // Update display if lyric changed
         if (newLyricIndex !== this.currentLyricIndex) {
@@ -185,21 +571,318 @@ class KaraokePlayer {
             this.currentLyricIndex = newLyricIndex;
             
             if (newLyricIndex >= 0) {
-                this.updateLyricsDisplay(this.lyrics[newLyricIndex].text);
+                this.renderer.renderLine(this.lyrics, newLyricIndex);
                 this.updateBackground(true);
                 this.animateLyricEnter();
             } else {
                 this.updateLyricsDisplay('');
                 this.updateBackground(false);
             }
+
+            this.applyVoice(this.renderer.element, this.lyrics[newLyricIndex]);
+            this.updatePartner(newLyricIndex);
+            this.updateTrackLines(newLyricIndex);
+            this.updateSheet(newLyricIndex);
         }
 
-        // Update text scale based on pitch
-        if (this.analyser && newLyricIndex >= 0) {
-            this.updateTextScale();
+        // Sweep the karaoke highlight across the current line
+        if (newLyricIndex >= 0) {
+            this.renderer.updateWordProgress(lyricsTime);
+            if (this.partnerIndex >= 0) {
+                this.partnerRenderer.updateWordProgress(lyricsTime);
+            }
+            if (this.sheetRenderer) {
+                this.sheetRenderer.updateWordProgress(lyricsTime);
+            }
         }
 
-        this.animationFrame = requestAnimationFrame(() => this.updateLyrics());
+        return newLyricIndex;
+    }
+
+    // Jump the audio to where a lyric line starts (after the live offset)
+    seekToLine(index) {
+        const lyric = this.lyrics[index];
+        if (!lyric) return;
+
+        this.seek(lyric.timestamp - this.offset / 1000 + 0.001);
+    }
+
+    seek(time) {
+        const duration = this.audioElement.duration || Infinity;
+        const target = Math.max(0, Math.min(duration, time));
+        this.audioElement.currentTime = target;
+        this.renderLyricsAt(target);
+    }
+
+    seekBy(seconds) {
+        this.seek(this.audioElement.currentTime + seconds);
+    }
+
+    setupSeekBar() {
+        const seekBar = document.getElementById('seekBar');
+
+        seekBar.addEventListener('mousedown', (e) => {
+            this.isSeeking = true;
+            this.seek(this.seekBarTime(e));
+        });
+        window.addEventListener('mousemove', (e) => {
+            if (this.isSeeking) {
+                this.seek(this.seekBarTime(e));
+            }
+        });
+        window.addEventListener('mouseup', () => {
+            this.isSeeking = false;
+        });
+
+        seekBar.addEventListener('mousemove', (e) => this.showSeekPreview(e));
+        seekBar.addEventListener('mouseleave', () => {
+            document.getElementById('seekPreview').style.display = 'none';
+        });
+    }
+
+    seekBarTime(event) {
+        const rect = document.getElementById('seekBar').getBoundingClientRect();
+        const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+        return fraction * (this.audioElement.duration || 0);
+    }
+
+    // Tooltip with the time and the line that would be showing there
+    showSeekPreview(event) {
+        const preview = document.getElementById('seekPreview');
+        const rect = document.getElementById('seekBar').getBoundingClientRect();
+        const time = this.seekBarTime(event);
+        const index = this.renderer.findLineIndex(this.lyrics, this.lyricsTime(time));
+        const text = index >= 0 ? this.lyrics[index].text : '♪';
+
+        preview.textContent = `${this.formatTime(time)}  ${text}`;
+        preview.style.left = `${event.clientX - rect.left}px`;
+        preview.style.display = 'block';
+    }
+
+    // One tick per lyric line, where the line shows after the live offset
+    updateSeekTicks() {
+        const ticks = document.getElementById('seekTicks');
+        const duration = this.audioElement && this.audioElement.duration;
+        if (!ticks) return;
+
+        ticks.textContent = '';
+        if (!duration || !isFinite(duration)) return;
+
+        this.lyrics.forEach(lyric => {
+            const time = lyric.timestamp - this.offset / 1000;
+            if (time < 0 || time > duration) return;
+
+            const tick = document.createElement('div');
+            tick.className = 'seek-tick';
+            tick.style.left = `${(time / duration) * 100}%`;
+            ticks.appendChild(tick);
+        });
+    }
+
+    // Duet voices: M and v1 on the left, F and v2 on the right, each in its
+    // own colour; D (sung together) shows both
+    voiceClass(singer) {
+        if (singer === 'M') return 'voice-1';
+        if (singer === 'F') return 'voice-2';
+        if (singer === 'D') return 'voice-both';
+
+        const match = /^v(\d+)$/.exec(singer || '');
+        return match ? `voice-${((parseInt(match[1], 10) - 1) % 4) + 1}` : null;
+    }
+
+    singerName(singer) {
+        if (this.singers[singer]) return this.singers[singer];
+        if (singer === 'D') {
+            const names = Object.values(this.singers);
+            return names.length > 0 ? names.join(' & ') : 'Together';
+        }
+        const defaults = { M: 'Male', F: 'Female' };
+        return defaults[singer] || singer.replace(/^v/, 'Voice ');
+    }
+
+    applyVoice(element, lyric) {
+        element.classList.remove('voice-1', 'voice-2', 'voice-3', 'voice-4', 'voice-both');
+        delete element.dataset.singer;
+
+        const voice = lyric && this.voiceClass(lyric.singer);
+        if (voice) {
+            element.classList.add(voice);
+            element.dataset.singer = this.singerName(lyric.singer);
+        }
+    }
+
+    // Another voice's line starting at the same moment is sung alongside the
+    // current one; findLineIndex lands on the last of them, so look back
+    findPartnerIndex(index) {
+        const lyric = this.lyrics[index];
+        if (!lyric || !lyric.singer) return -1;
+
+        for (let i = index - 1; i >= 0 && this.lyrics[i].timestamp === lyric.timestamp; i--) {
+            if (this.lyrics[i].singer && this.lyrics[i].singer !== lyric.singer) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    updatePartner(index) {
+        const partnerDisplay = this.partnerRenderer.element;
+        this.partnerIndex = this.findPartnerIndex(index);
+
+        if (this.partnerIndex >= 0) {
+            this.partnerRenderer.renderLine(this.lyrics, this.partnerIndex);
+            this.applyVoice(partnerDisplay, this.lyrics[this.partnerIndex]);
+            partnerDisplay.classList.add('visible');
+        } else {
+            this.partnerRenderer.showText('');
+            this.applyVoice(partnerDisplay, null);
+            partnerDisplay.classList.remove('visible');
+        }
+        document.body.classList.toggle('duet-pair', this.partnerIndex >= 0);
+    }
+
+    // Visibility is remembered per language and role rather than per song,
+    // so "always show the romanization" carries over to the next song
+    trackKey(track) {
+        return `${track.language}:${track.role}`;
+    }
+
+    setTracks(tracks) {
+        this.tracks = tracks.filter(track => !track.error);
+
+        const toggles = document.getElementById('trackToggles');
+        toggles.textContent = '';
+        toggles.style.display = this.tracks.length > 0 ? '' : 'none';
+
+        this.tracks.forEach(track => {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = !this.hiddenTracks.has(this.trackKey(track));
+            checkbox.addEventListener('change', () => this.toggleTrack(track, checkbox.checked));
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(` ${track.language || '??'} ${track.role}`));
+            toggles.appendChild(label);
+        });
+
+        this.updateTrackLines(this.currentLyricIndex);
+    }
+
+    toggleTrack(track, visible) {
+        if (visible) {
+            this.hiddenTracks.delete(this.trackKey(track));
+        } else {
+            this.hiddenTracks.add(this.trackKey(track));
+        }
+        localStorage.setItem('hiddenLyricTracks', JSON.stringify(Array.from(this.hiddenTracks)));
+        this.updateTrackLines(this.currentLyricIndex);
+    }
+
+    // Sub-lines under the current lyric, one per visible track that has text for it
+    updateTrackLines(index) {
+        const trackLines = document.getElementById('trackLines');
+        trackLines.textContent = '';
+        if (index < 0) return;
+
+        this.tracks.forEach(track => {
+            const text = track.lines[index];
+            if (!text || this.hiddenTracks.has(this.trackKey(track))) return;
+
+            const line = document.createElement('div');
+            line.className = `track-line track-${track.role}`;
+            line.lang = track.language;
+            line.textContent = text;
+            trackLines.appendChild(line);
+        });
+    }
+
+    nextLayout() {
+        const index = this.layouts.indexOf(this.layout);
+        this.setLayout(this.layouts[(index + 1) % this.layouts.length]);
+    }
+
+    // single: one pitch-scaled line; context: previous, current and next two
+    // lines; sheet: every line, scrolled to keep the current one centred
+    setLayout(layout) {
+        if (!this.layouts.includes(layout)) {
+            layout = 'single';
+        }
+
+        this.layout = layout;
+        localStorage.setItem('lyricsLayout', layout);
+
+        this.layouts.forEach(name => document.body.classList.toggle(`layout-${name}`, name === layout));
+        document.getElementById('layoutBtn').textContent = `☰ ${this.layoutNames[layout]}`;
+
+        this.buildSheet();
+    }
+
+    createSheetLine(index) {
+        const line = document.createElement('div');
+        line.className = 'sheet-line';
+        line.dataset.index = index;
+        line.textContent = this.lyrics[index].text;
+        this.applyVoice(line, this.lyrics[index]);
+        line.addEventListener('click', () => this.seekToLine(index));
+        return line;
+    }
+
+    buildSheet() {
+        if (!this.sheet) return;
+
+        this.sheet.textContent = '';
+        this.sheetRenderer = null;
+
+        if (this.layout === 'sheet') {
+            this.lyrics.forEach((lyric, index) => {
+                this.sheet.appendChild(this.createSheetLine(index));
+            });
+        }
+
+        this.updateSheet(this.currentLyricIndex);
+    }
+
+    updateSheet(index) {
+        if (!this.sheet || this.layout === 'single') {
+            this.sheetRenderer = null;
+            return;
+        }
+
+        // Context mode only ever holds a handful of lines, so rebuild it
+        if (this.layout === 'context') {
+            this.sheet.textContent = '';
+            const first = Math.max(0, index - 1);
+            const last = Math.min(this.lyrics.length - 1, Math.max(index, 0) + 2);
+            for (let i = first; i <= last; i++) {
+                this.sheet.appendChild(this.createSheetLine(i));
+            }
+        }
+
+        let activeLine = null;
+        this.sheet.querySelectorAll('.sheet-line').forEach(line => {
+            const lineIndex = parseInt(line.dataset.index, 10);
+            const isActive = lineIndex === index || lineIndex === this.partnerIndex;
+
+            line.classList.toggle('active', isActive);
+            line.classList.toggle('sung', lineIndex < index && !isActive);
+            if (lineIndex === index) {
+                activeLine = line;
+            } else if (line.childElementCount > 0) {
+                // Drop the word spans of the line we just left
+                line.textContent = this.lyrics[lineIndex].text;
+            }
+        });
+
+        if (activeLine) {
+            this.sheetRenderer = new LyricsRenderer(activeLine);
+            this.sheetRenderer.renderLine(this.lyrics, index);
+            if (this.layout === 'sheet') {
+                activeLine.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        } else {
+            this.sheetRenderer = null;
+        }
     }
 
     animateLyricEnter() {
@@ -215,8 +898,7 @@ class KaraokePlayer {
     }
 
     updateLyricsDisplay(text) {
-        const lyricsDisplay = document.getElementById('lyricsDisplay');
-        lyricsDisplay.textContent = text;
+        this.renderer.showText(text);
     }
 
     updateBackground(hasLyrics) {
@@ -227,45 +909,52 @@ class KaraokePlayer {
         }
     }
 
+    formatTime(time) {
+        const minutes = Math.floor(time / 60);
+        const seconds = Math.floor(time % 60);
+        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+    }
+
     updateTimeDisplay(currentTime) {
-        const minutes = Math.floor(currentTime / 60);
-        const seconds = Math.floor(currentTime % 60);
-        const timeString = `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        const duration = this.audioElement.duration;
+        const hasDuration = duration && isFinite(duration);
+
+        let timeString = this.formatTime(currentTime);
+        if (hasDuration) {
+            timeString += ` / ${this.formatTime(duration)}`;
+        }
         document.getElementById('currentTime').textContent = timeString;
+
+        const progress = hasDuration ? (currentTime / duration) * 100 : 0;
+        document.getElementById('seekProgress').style.width = `${progress}%`;
     }
 
     updateTextScale() {
         if (!this.analyser) return;
 
-        // Get frequency data for pitch detection
-        const bufferLength = this.analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        this.analyser.getByteFrequencyData(dataArray);
-
-        // Find dominant frequency (pitch)
-        let maxVolume = 0;
-        let dominantFrequency = 0;
-        const sampleRate = this.audioContext.sampleRate;
-
-        for (let i = 0; i < bufferLength; i++) {
-            if (dataArray[i] > maxVolume) {
-                maxVolume = dataArray[i];
-                dominantFrequency = i * sampleRate / this.analyser.fftSize;
-            }
-        }
+        // Estimate the sung pitch from the waveform (YIN) instead of the
+        // loudest FFT bin, which is usually a bass or drum harmonic
+        this.analyser.getFloatTimeDomainData(this.pitchBuffer);
+        const result = this.pitchDetector.detect(this.pitchBuffer, this.audioContext.sampleRate);
+        const frequency = this.pitchTracker.update(result);
+        this.currentPitch = frequency;
 
         // Update pitch indicator
-        document.getElementById('pitchIndicator').textContent = `Pitch: ${Math.round(dominantFrequency)} Hz`;
+        document.getElementById('pitchIndicator').textContent = frequency
+            ? `Pitch: ${formatNote(frequency)}`
+            : 'Pitch: --';
+
+        // Keep the last look through unvoiced gaps
+        if (!frequency) return;
 
-        // Map pitch to scale (human voice range: ~80Hz to 1100Hz)
-        const minPitch = 80;
-        const maxPitch = 1100;
-        const normalizedPitch = Math.max(0, Math.min(1, 
-            (dominantFrequency - minPitch) / (maxPitch - minPitch)
+        // Map pitch to scale in semitones (E2 to C6 covers most singing)
+        const minMidi = 40;
+        const maxMidi = 84;
+        const normalizedPitch = Math.max(0, Math.min(1,
+            (frequencyToMidi(frequency) - minMidi) / (maxMidi - minMidi)
         ));
 
         // More dramatic scaling based on pitch
-        const baseScale = 1;
         const pitchScale = 0.5 + normalizedPitch * 1.5; // Scale from 0.5x to 2x
         
         // Add some rotation based on pitch for more dynamic effect
@@ -277,15 +966,20 @@ class KaraokePlayer {
         // Change color based on pitch (warmer colors for higher pitches)
         const hue = 200 + (normalizedPitch * 160); // Blue to red
         lyricsDisplay.style.color = `hsl(${hue}, 70%, 70%)`;
+        lyricsDisplay.style.setProperty('--sung-color', `hsl(${hue}, 70%, 70%)`);
+        this.sheet.style.setProperty('--sung-color', `hsl(${hue}, 70%, 70%)`);
     }
 
     startVisualization() {
+        if (this.visualizerFrame) {
+            cancelAnimationFrame(this.visualizerFrame);
+        }
         this.drawVisualizer();
     }
 
     drawVisualizer() {
         if (!this.isPlaying || !this.analyser || !this.canvasContext) {
-            this.animationFrame = requestAnimationFrame(() => this.drawVisualizer());
+            this.visualizerFrame = requestAnimationFrame(() => this.drawVisualizer());
             return;
         }
 
@@ -325,7 +1019,446 @@ class KaraokePlayer {
             x += barWidth + 1;
         }
 
-        this.animationFrame = requestAnimationFrame(() => this.drawVisualizer());
+        if (this.singing) {
+            this.drawPitchTrail();
+        }
+
+        this.visualizerFrame = requestAnimationFrame(() => this.drawVisualizer());
+    }
+
+    // The queue entry for this song if it is the one being sung now
+    async findQueueEntry(songId) {
+        if (this.queueEntry && this.queueEntry.songId === songId) {
+            return this.queueEntry;
+        }
+
+        try {
+            const response = await fetch('/queue');
+            const data = await response.json();
+            this.queueEntry = data.success && data.current && data.current.songId === songId
+                ? data.current
+                : null;
+        } catch (error) {
+            console.error('Could not read the karaoke queue:', error);
+            this.queueEntry = null;
+        }
+        return this.queueEntry;
+    }
+
+    // After a song ends, announce the next queue entry and count down to it
+    async showUpNext() {
+        let queue;
+        try {
+            const response = await fetch('/queue');
+            queue = await response.json();
+            if (!response.ok || !queue.success) {
+                throw new Error(queue.error || `Request failed with status ${response.status}`);
+            }
+        } catch (error) {
+            console.error('Could not read the karaoke queue:', error);
+            return;
+        }
+
+        const next = queue.entries[0];
+        if (!next) return;
+
+        const song = next.song || {};
+        const songName = song.artist ? `${song.artist} - ${song.title}` : (song.title || 'Unknown Song');
+        document.getElementById('upNextText').textContent = `Up next: ${next.singer || 'Someone'} – ${songName}`;
+        document.getElementById('upNext').style.display = 'flex';
+
+        let remaining = this.upNextDelay;
+        const countdown = document.getElementById('upNextCountdown');
+        countdown.textContent = remaining;
+
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = setInterval(() => {
+            remaining--;
+            countdown.textContent = remaining;
+            if (remaining <= 0) {
+                this.advanceQueue();
+            }
+        }, 1000);
+    }
+
+    cancelUpNext() {
+        clearInterval(this.upNextTimer);
+        this.upNextTimer = null;
+        document.getElementById('upNext').style.display = 'none';
+    }
+
+    async advanceQueue() {
+        this.cancelUpNext();
+
+        try {
+            const data = await this.sendJson('/queue/next', {}, 'POST');
+            // A skip from the remote can come mid-song
+            this.stop();
+            this.queueEntry = data.current;
+            window.history.replaceState(null, '', `/player/${encodeURIComponent(data.current.songId)}`);
+            await this.loadSong(data.current.songId);
+            this.play();
+        } catch (error) {
+            // Nobody waiting: the song playing now just carries on
+            if (error.status === 409) {
+                console.log('Queue is empty, nothing to skip to');
+                return;
+            }
+            console.error('Starting the next song failed:', error);
+            alert('Could not start the next song: ' + error.message);
+        }
+    }
+
+    // Every controller player leads a session from the start, so displays
+    // and phone remotes can pair with the code in the corner at any time
+    async startSession() {
+        try {
+            await this.serverClock.sync();
+            const data = await this.sendJson('/sessions', {}, 'POST');
+            this.controlledSession = { code: data.code, controlKey: data.controlKey };
+            this.publishState();
+            this.publishTimer = setInterval(() => {
+                if (this.isPlaying) this.publishState();
+            }, this.publishInterval);
+            this.listenForCommands();
+            this.showPairing(data.code);
+            console.log('Leading playback session', data.code, 'with clock offset', this.serverClock.offset, 'ms');
+        } catch (error) {
+            // The player still works on its own without a session
+            console.error('Starting a session failed:', error);
+        }
+    }
+
+    showPairing(code) {
+        document.getElementById('pairingCode').textContent = code;
+        document.getElementById('pairingQr').src = `/sessions/${code}/qr.svg`;
+        document.getElementById('pairingUrls').textContent =
+            `Remote: ${window.location.origin}/remote/${code}\nDisplay: ${window.location.origin}/display/${code}`;
+        document.getElementById('pairing').style.display = '';
+    }
+
+    // Commands from paired phone remotes, relayed by the server
+    listenForCommands() {
+        const session = this.controlledSession;
+        const url = `/sessions/${session.code}/commands?controlKey=${encodeURIComponent(session.controlKey)}`;
+        this.commandEvents = new EventSource(url);
+        this.commandEvents.addEventListener('command', (event) => {
+            this.handleCommand(JSON.parse(event.data));
+        });
+    }
+
+    handleCommand(command) {
+        console.log('Remote command:', command.type, command.value);
+
+        switch (command.type) {
+            case 'play':
+                if (!this.isPlaying) this.play();
+                break;
+            case 'pause':
+                if (this.isPlaying) this.pause();
+                break;
+            case 'toggle':
+                this.togglePlay();
+                break;
+            case 'nextLine':
+                this.seekToLine(this.currentLyricIndex + 1);
+                break;
+            case 'previousLine':
+                this.seekToLine(Math.max(0, this.currentLyricIndex - 1));
+                break;
+            case 'offset':
+                this.nudgeOffset(command.value);
+                break;
+            case 'volume':
+                this.setVolume(command.value);
+                break;
+            case 'nextSong':
+                this.advanceQueue();
+                break;
+        }
+    }
+
+    setVolume(volume) {
+        this.audioElement.volume = Math.max(0, Math.min(1, volume));
+        this.publishState();
+    }
+
+    // Tell displays and remotes what is playing and where; a no-op without a session
+    async publishState() {
+        if (!this.controlledSession || !this.audioElement) return;
+
+        const session = this.controlledSession;
+        try {
+            await this.sendJson(`/sessions/${session.code}/state`, {
+                controlKey: session.controlKey,
+                songId: this.songId || null,
+                playing: this.isPlaying,
+                position: this.audioElement.currentTime,
+                at: this.serverClock.now(),
+                offset: this.offset,
+                volume: this.audioElement.volume
+            }, 'POST');
+        } catch (error) {
+            console.error('Publishing playback state failed:', error);
+        }
+    }
+
+    showSessionStatus(text) {
+        const status = document.getElementById('sessionStatus');
+        status.textContent = text || '';
+        status.style.display = text ? '' : 'none';
+    }
+
+    // Display mode: follow a session's song, play state and position. Audio
+    // starts muted so browsers let it play without a click on this screen.
+    async followSession(code) {
+        this.followedCode = code.toUpperCase();
+        this.audioElement.muted = true;
+        document.body.classList.add('display-mode');
+        document.getElementById('songTitle').textContent = `📡 Waiting for session ${this.followedCode}`;
+        this.showSessionStatus(`Session ${this.followedCode} · connecting`);
+
+        try {
+            await this.serverClock.sync();
+        } catch (error) {
+            console.error('Clock sync failed, using the local clock:', error);
+        }
+        // Clocks wander over a long night, so measure again now and then
+        setInterval(() => {
+            this.serverClock.sync().catch(error => console.error('Clock sync failed:', error));
+        }, 60000);
+
+        this.sessionEvents = new EventSource(`/sessions/${encodeURIComponent(this.followedCode)}/events`);
+        this.sessionEvents.addEventListener('state', (event) => {
+            this.applySessionState(JSON.parse(event.data).state);
+        });
+        this.sessionEvents.addEventListener('error', () => {
+            // EventSource retries by itself unless the session is gone
+            const ended = this.sessionEvents.readyState === EventSource.CLOSED;
+            this.showSessionStatus(`Session ${this.followedCode} · ${ended ? 'not found or ended' : 'reconnecting'}`);
+        });
+    }
+
+    async applySessionState(state) {
+        this.sessionState = state;
+        this.showSessionStatus(`Session ${this.followedCode}`);
+
+        if (!state.songId) {
+            this.stop();
+            document.getElementById('songTitle').textContent = `📡 Waiting for session ${this.followedCode}`;
+            return;
+        }
+
+        if (state.songId !== this.songId) {
+            // Events keep coming while the previous song change is loading
+            if (this.loadingSongId === state.songId) return;
+            this.loadingSongId = state.songId;
+            this.pause();
+            await this.loadSong(state.songId);
+            this.loadingSongId = null;
+            // Apply whatever state is newest now that the song is here
+            state = this.sessionState;
+            if (state.songId !== this.songId) return;
+        }
+
+        // Follow the controller's live offset nudges
+        if (state.offset !== this.offset) {
+            this.offset = state.offset || 0;
+            this.updateOffsetDisplay();
+            this.updateSeekTicks();
+            this.renderLyricsAt(this.audioElement.currentTime);
+        }
+
+        this.driftCorrector.reset();
+        this.audioElement.playbackRate = 1;
+
+        const expected = sessionPosition(state, this.serverClock.now());
+        if (Math.abs(this.audioElement.currentTime - expected) > this.driftCorrector.startThreshold) {
+            this.seek(expected);
+        }
+
+        if (state.playing && !this.isPlaying) {
+            this.play();
+        } else if (!state.playing && this.isPlaying) {
+            this.pause();
+        }
+    }
+
+    // Called every frame while a display plays
+    correctDrift() {
+        const state = this.sessionState;
+        if (!state || !state.playing || state.songId !== this.songId || this.audioElement.seeking) return;
+
+        const expected = sessionPosition(state, this.serverClock.now());
+        const correction = this.driftCorrector.correct(this.audioElement.currentTime, expected);
+
+        if (correction.seekTo !== undefined) {
+            this.seek(correction.seekTo);
+        }
+        this.audioElement.playbackRate = correction.playbackRate;
+        this.showSessionStatus(`Session ${this.followedCode} · ${Math.round(correction.drift * 1000)} ms`);
+    }
+
+    // Displays start muted; clicking here is the gesture browsers want for sound
+    toggleSound() {
+        this.audioElement.muted = !this.audioElement.muted;
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        document.getElementById('soundBtn').textContent = this.audioElement.muted ? '🔇 Sound Off' : '🔊 Sound On';
+    }
+
+    // Singing mode: the microphone gets its own analyser next to the track's.
+    // It is never connected to the speakers, so the singer is not echoed back.
+    async toggleSinging() {
+        if (this.singing) {
+            this.stopSinging();
+            return;
+        }
+
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            alert('Microphone input is not supported in this browser');
+            return;
+        }
+        if (!this.audioContext) {
+            alert('Audio is not ready yet, try again once the song has loaded');
+            return;
+        }
+
+        try {
+            this.micStream = await navigator.mediaDevices.getUserMedia({
+                audio: { echoCancellation: true, noiseSuppression: false, autoGainControl: false }
+            });
+        } catch (error) {
+            console.error('Microphone access failed:', error);
+            alert('Could not access the microphone: ' + error.message);
+            return;
+        }
+
+        this.micSource = this.audioContext.createMediaStreamSource(this.micStream);
+        this.micAnalyser = this.audioContext.createAnalyser();
+        this.micAnalyser.fftSize = 2048;
+        this.micBuffer = new Float32Array(this.micAnalyser.fftSize);
+        this.micSource.connect(this.micAnalyser);
+        this.micTracker.reset();
+
+        this.scoring = new ScoringEngine(this.lyrics);
+        this.scoredLineIndex = -1;
+        this.singing = true;
+
+        document.getElementById('singBtn').textContent = '🎤 Stop Singing';
+        document.getElementById('scoreDisplay').style.display = '';
+        this.updateScoreDisplay(null);
+    }
+
+    stopSinging() {
+        if (this.micSource) {
+            this.micSource.disconnect();
+        }
+        if (this.micStream) {
+            this.micStream.getTracks().forEach(track => track.stop());
+        }
+        this.micStream = null;
+        this.micSource = null;
+        this.micAnalyser = null;
+        this.singing = false;
+
+        document.getElementById('singBtn').textContent = '🎤 Sing';
+        document.getElementById('scoreDisplay').style.display = 'none';
+    }
+
+    // Score one frame: the singer's pitch against the track's vocal pitch
+    updateSinging(lyricIndex) {
+        if (!this.micAnalyser) return;
+
+        this.micAnalyser.getFloatTimeDomainData(this.micBuffer);
+        const result = this.micDetector.detect(this.micBuffer, this.audioContext.sampleRate);
+        const singerPitch = this.micTracker.update(result);
+        const referencePitch = lyricIndex >= 0 ? this.currentPitch : null;
+
+        this.scoring.addFrame(this.lyricsTime(this.audioElement.currentTime), referencePitch, singerPitch);
+
+        // Report a line's score once it is over
+        if (lyricIndex !== this.scoredLineIndex) {
+            if (this.scoredLineIndex >= 0) {
+                this.updateScoreDisplay(this.scoring.lineScore(this.scoredLineIndex));
+            }
+            this.scoredLineIndex = lyricIndex;
+        }
+    }
+
+    updateScoreDisplay(lineScore) {
+        const overall = this.scoring ? this.scoring.results().overall : null;
+        const format = score => (score === null ? '--' : score);
+        document.getElementById('scoreDisplay').textContent =
+            `Last line: ${format(lineScore)}  Total: ${format(overall)}`;
+    }
+
+    // Last few seconds of pitch, track in white and singer in yellow,
+    // on the same E2-C6 scale the text scaling uses
+    drawPitchTrail() {
+        const trail = this.scoring.trail;
+        if (trail.length < 2) return;
+
+        const ctx = this.canvasContext;
+        const width = this.canvas.width;
+        const height = this.canvas.height;
+        const now = trail[trail.length - 1].time;
+        const minMidi = 40;
+        const maxMidi = 84;
+
+        const drawLine = (key, color) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+
+            let drawing = false;
+            trail.forEach(point => {
+                const frequency = point[key];
+                if (!frequency) {
+                    drawing = false;
+                    return;
+                }
+
+                const x = width * (1 - (now - point.time) / this.scoring.trailDuration);
+                const normalized = (frequencyToMidi(frequency) - minMidi) / (maxMidi - minMidi);
+                const y = height * (1 - Math.max(0, Math.min(1, normalized)));
+
+                if (drawing) {
+                    ctx.lineTo(x, y);
+                } else {
+                    ctx.moveTo(x, y);
+                    drawing = true;
+                }
+            });
+            ctx.stroke();
+        };
+
+        drawLine('reference', 'rgba(255, 255, 255, 0.7)');
+        drawLine('singer', '#ffd54f');
+    }
+
+    showScoreSummary() {
+        const results = this.scoring.results();
+        const list = document.getElementById('scoreLines');
+        list.textContent = '';
+
+        results.lines.forEach(line => {
+            if (line.score === null) return;
+
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            text.textContent = line.text;
+            const score = document.createElement('strong');
+            score.textContent = line.score;
+            item.appendChild(text);
+            item.appendChild(score);
+            list.appendChild(item);
+        });
+
+        document.getElementById('overallScore').textContent =
+            results.overall === null ? 'No score' : `Score: ${results.overall}`;
+        document.getElementById('scoreSummary').style.display = 'flex';
     }
 
     createParticles() {
@@ -0,0 +1,128 @@
+class KaraokeQueue {
+    constructor() {
+        this.queue = { current: null, entries: [] };
+        this.library = new SongLibrary({
+            showMessage: (message, type) => this.showMessage(message, type),
+            onQueued: data => this.setQueue(data)
+        });
+
+        this.setupEventListeners();
+        this.library.load();
+        this.loadQueue();
+    }
+
+    setupEventListeners() {
+        document.getElementById('startBtn').addEventListener('click', () => this.startNext());
+    }
+
+    async loadQueue() {
+        try {
+            this.setQueue(await requestJson('/queue'));
+        } catch (error) {
+            console.error('Failed to load queue:', error);
+            this.showMessage('Could not load the queue: ' + error.message, 'error');
+        }
+    }
+
+    // Every queue endpoint answers with the whole queue
+    async updateQueue(url, method, body) {
+        try {
+            const data = await requestJson(url, {
+                method: method,
+                body: body ? JSON.stringify(body) : undefined
+            });
+            this.setQueue(data);
+            return data;
+        } catch (error) {
+            console.error('Queue update failed:', error);
+            this.showMessage('Queue update failed: ' + error.message, 'error');
+            return null;
+        }
+    }
+
+    setQueue(data) {
+        this.queue = { current: data.current, entries: data.entries };
+        this.renderQueue();
+    }
+
+    renderQueue() {
+        const current = this.queue.current;
+        document.getElementById('nowSinging').textContent = current
+            ? `Now singing: ${current.singer || 'Someone'} – ${songName(current.song)}`
+            : 'Nobody is singing yet';
+
+        const list = document.getElementById('queueList');
+        list.textContent = '';
+
+        if (this.queue.entries.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'queue-item queue-empty';
+            empty.textContent = 'The queue is empty. Pick a song from the library below.';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.queue.entries.forEach((entry, index) => {
+            const item = document.createElement('li');
+            item.className = 'queue-item';
+
+            const name = document.createElement('span');
+            name.className = 'queue-name';
+            name.textContent = `${entry.singer || 'Someone'} – ${songName(entry.song)}`;
+            item.appendChild(name);
+
+            const buttons = [
+                { label: '↑', title: 'Move up', disabled: index === 0, action: () => this.moveEntry(entry, index - 1) },
+                { label: '↓', title: 'Move down', disabled: index === this.queue.entries.length - 1, action: () => this.moveEntry(entry, index + 1) },
+                { label: '✎', title: 'Rename singer', action: () => this.renameSinger(entry) },
+                { label: '✕', title: 'Remove', action: () => this.removeEntry(entry) }
+            ];
+            buttons.forEach(button => {
+                const element = document.createElement('button');
+                element.className = 'queue-btn';
+                element.textContent = button.label;
+                element.title = button.title;
+                element.disabled = !!button.disabled;
+                element.addEventListener('click', button.action);
+                item.appendChild(element);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    moveEntry(entry, position) {
+        return this.updateQueue(`/queue/${encodeURIComponent(entry.id)}`, 'PATCH', { position: position });
+    }
+
+    renameSinger(entry) {
+        const singer = prompt('Singer name:', entry.singer);
+        if (singer === null) return;
+        return this.updateQueue(`/queue/${encodeURIComponent(entry.id)}`, 'PATCH', { singer: singer });
+    }
+
+    removeEntry(entry) {
+        return this.updateQueue(`/queue/${encodeURIComponent(entry.id)}`, 'DELETE');
+    }
+
+    async startNext() {
+        if (this.queue.entries.length === 0) {
+            this.showMessage('Add a song to the queue first.', 'error');
+            return;
+        }
+
+        const data = await this.updateQueue('/queue/next', 'POST');
+        if (data && data.current) {
+            window.location.href = `/player/${encodeURIComponent(data.current.songId)}`;
+        }
+    }
+
+    showMessage(message, type = 'info') {
+        showStatus(message, type);
+    }
+}
+
+// Initialize the queue page when it loads
+document.addEventListener('DOMContentLoaded', () => {
+    new KaraokeQueue();
+});
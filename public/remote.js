@@ -0,0 +1,131 @@
+// Phone remote for a running player. Commands go to the server, which
+// relays them to the player leading the session; the session's state
+// stream keeps the buttons showing what the player is doing.
+class KaraokeRemote {
+    constructor() {
+        this.code = null;
+        this.state = null;
+        this.events = null;
+        this.songId = null;
+        this.offsetStep = 50;
+        this.library = new SongLibrary({
+            showMessage: (message, type) => this.showMessage(message, type)
+        });
+
+        this.setupEventListeners();
+
+        const match = window.location.pathname.match(/^\/remote\/([^/]+)/);
+        if (match) {
+            this.pair(decodeURIComponent(match[1]));
+        } else {
+            this.showPairing();
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('pairBtn').addEventListener('click', () => {
+            this.pair(document.getElementById('pairCode').value);
+        });
+        document.getElementById('pairCode').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') this.pair(e.target.value);
+        });
+
+        document.getElementById('toggleBtn').addEventListener('click', () => this.sendCommand('toggle'));
+        document.getElementById('previousLineBtn').addEventListener('click', () => this.sendCommand('previousLine'));
+        document.getElementById('nextLineBtn').addEventListener('click', () => this.sendCommand('nextLine'));
+        document.getElementById('offsetMinusBtn').addEventListener('click', () => this.sendCommand('offset', -this.offsetStep));
+        document.getElementById('offsetPlusBtn').addEventListener('click', () => this.sendCommand('offset', this.offsetStep));
+        document.getElementById('nextSongBtn').addEventListener('click', () => this.sendCommand('nextSong'));
+        // change rather than input: one command when the thumb is let go
+        document.getElementById('volumeSlider').addEventListener('change', (e) => {
+            this.sendCommand('volume', parseFloat(e.target.value));
+        });
+    }
+
+    showPairing() {
+        document.getElementById('pairSection').style.display = '';
+        document.getElementById('remoteSection').style.display = 'none';
+        document.getElementById('pairCode').focus();
+    }
+
+    async pair(code) {
+        code = code.trim().toUpperCase();
+        if (!code) return;
+
+        try {
+            await requestJson(`/sessions/${encodeURIComponent(code)}`);
+        } catch (error) {
+            console.error('Pairing failed:', error);
+            this.showPairing();
+            this.showMessage(`Could not pair with ${code}: ${error.message}`, 'error');
+            return;
+        }
+
+        this.code = code;
+        window.history.replaceState(null, '', `/remote/${encodeURIComponent(code)}`);
+        document.getElementById('pairSection').style.display = 'none';
+        document.getElementById('remoteSection').style.display = '';
+        document.getElementById('nowPlaying').textContent = `Paired with ${code}`;
+
+        if (this.events) this.events.close();
+        this.events = new EventSource(`/sessions/${encodeURIComponent(code)}/events`);
+        this.events.addEventListener('state', (event) => this.setState(JSON.parse(event.data).state));
+        this.events.addEventListener('error', () => {
+            if (this.events.readyState === EventSource.CLOSED) {
+                document.getElementById('nowPlaying').textContent = `Session ${code} has ended`;
+            }
+        });
+
+        this.library.load();
+    }
+
+    async sendCommand(type, value) {
+        try {
+            await requestJson(`/sessions/${encodeURIComponent(this.code)}/commands`, {
+                method: 'POST',
+                body: JSON.stringify({ type: type, value: value })
+            });
+        } catch (error) {
+            console.error('Remote command failed:', error);
+            this.showMessage('Command failed: ' + error.message, 'error');
+        }
+    }
+
+    setState(state) {
+        this.state = state;
+        document.getElementById('toggleBtn').textContent = state.playing ? '⏸ Pause' : '▶ Play';
+        document.getElementById('offsetDisplay').textContent =
+            `Offset: ${state.offset > 0 ? '+' : ''}${state.offset || 0} ms`;
+        document.getElementById('volumeSlider').value = state.volume;
+
+        if (state.songId !== this.songId) {
+            this.songId = state.songId;
+            this.showSong(state.songId);
+        }
+    }
+
+    async showSong(songId) {
+        const nowPlaying = document.getElementById('nowPlaying');
+        if (!songId) {
+            nowPlaying.textContent = `Paired with ${this.code} · nothing playing`;
+            return;
+        }
+
+        try {
+            const data = await requestJson(`/songs/${encodeURIComponent(songId)}`);
+            nowPlaying.textContent = `🎵 ${songName(data.song)}`;
+        } catch (error) {
+            console.error('Could not read the playing song:', error);
+        }
+    }
+
+    // Below the whole page, as pairing errors come before the remote shows
+    showMessage(message, type = 'info') {
+        showStatus(message, type, '.container');
+    }
+}
+
+// Initialize the remote when the page loads
+document.addEventListener('DOMContentLoaded', () => {
+    new KaraokeRemote();
+});
@@ -0,0 +1,93 @@
+// Renders one lyric line as word spans with a karaoke wipe.
+// Shared by the player and the editor preview so both look the same.
+class LyricsRenderer {
+    constructor(element) {
+        this.element = element;
+        this.wordTimings = [];
+        this.wordElements = [];
+        this.maxEstimatedLineDuration = 8; // seconds, for lines without word stamps
+    }
+
+    // Index of the line being sung at currentTime, or -1 before the first line
+    findLineIndex(lyrics, currentTime) {
+        for (let i = lyrics.length - 1; i >= 0; i--) {
+            if (currentTime >= lyrics[i].timestamp) {
+                return i;
+            }
+        }
+        return -1;
+    }
+
+    showText(text) {
+        this.element.textContent = text;
+        this.wordTimings = [];
+        this.wordElements = [];
+    }
+
+    renderLine(lyrics, index) {
+        this.element.textContent = '';
+
+        this.wordTimings = this.getWordTimings(lyrics, index);
+        this.wordElements = this.wordTimings.map(word => {
+            const span = document.createElement('span');
+            span.className = 'lyric-word';
+            span.textContent = word.text;
+            this.element.appendChild(span);
+            return span;
+        });
+    }
+
+    getWordTimings(lyrics, index) {
+        const lyric = lyrics[index];
+        const nextLyric = lyrics[index + 1];
+
+        let lineEnd;
+        if (lyric.endTime !== undefined) {
+            lineEnd = lyric.endTime;
+        } else if (nextLyric) {
+            lineEnd = nextLyric.timestamp;
+        } else {
+            lineEnd = lyric.timestamp + this.maxEstimatedLineDuration;
+        }
+
+        // Enhanced LRC: each word runs until the next word starts
+        if (lyric.words && lyric.words.length > 0) {
+            return lyric.words.map((word, i) => ({
+                text: word.text,
+                start: word.time,
+                end: i + 1 < lyric.words.length ? lyric.words[i + 1].time : lineEnd
+            }));
+        }
+
+        // No word timing: estimate a sweep weighted by word length
+        const words = lyric.text.split(' ').filter(word => word);
+        const totalChars = words.reduce((sum, word) => sum + word.length, 0) || 1;
+        const duration = Math.min(lineEnd - lyric.timestamp, this.maxEstimatedLineDuration);
+
+        let start = lyric.timestamp;
+        return words.map((word, i) => {
+            const wordDuration = duration * word.length / totalChars;
+            const timing = {
+                text: i + 1 < words.length ? word + ' ' : word,
+                start: start,
+                end: start + wordDuration
+            };
+            start += wordDuration;
+            return timing;
+        });
+    }
+
+    updateWordProgress(currentTime) {
+        this.wordTimings.forEach((word, i) => {
+            let progress;
+            if (currentTime >= word.end) {
+                progress = 1;
+            } else if (currentTime <= word.start) {
+                progress = 0;
+            } else {
+                progress = (currentTime - word.start) / (word.end - word.start);
+            }
+            this.wordElements[i].style.setProperty('--fill', `${(progress * 100).toFixed(1)}%`);
+        });
+    }
+}
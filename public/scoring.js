@@ -0,0 +1,119 @@
+// Singing score: compares the singer's pitch with the reference (the track's
+// own vocal pitch) while each lyric line is active. Has no DOM dependencies,
+// so it can be driven with synthetic buffers in Node as well as in the player.
+
+// pitch.js is a plain script in the browser and a module in Node
+const pitchApi = typeof require === 'function'
+    ? require('./pitch.js')
+    : { PitchDetector, PitchTracker, frequencyToMidi };
+
+class ScoringEngine {
+    constructor(lyrics, options = {}) {
+        this.lyrics = lyrics;
+        this.perfectRange = options.perfectRange || 0.5; // semitones that still count as spot on
+        this.missRange = options.missRange || 2; // semitones where a frame scores zero
+        this.maxLineDuration = options.maxLineDuration || 8; // seconds, for lines without an end
+        this.trailDuration = options.trailDuration || 5; // seconds of pitch trail to keep
+
+        this.referenceDetector = new pitchApi.PitchDetector();
+        this.singerDetector = new pitchApi.PitchDetector();
+        this.referenceTracker = new pitchApi.PitchTracker();
+        this.singerTracker = new pitchApi.PitchTracker();
+
+        this.reset();
+    }
+
+    reset() {
+        this.lines = this.lyrics.map(() => ({ frames: 0, total: 0 }));
+        this.trail = [];
+        this.referenceTracker.reset();
+        this.singerTracker.reset();
+    }
+
+    // Index of the line being sung at time, or -1 between lines
+    lineIndexAt(time) {
+        for (let i = this.lyrics.length - 1; i >= 0; i--) {
+            const lyric = this.lyrics[i];
+            if (time < lyric.timestamp) continue;
+
+            const nextLyric = this.lyrics[i + 1];
+            let end = lyric.timestamp + this.maxLineDuration;
+            if (lyric.endTime !== undefined) {
+                end = lyric.endTime;
+            } else if (nextLyric) {
+                end = Math.min(end, nextLyric.timestamp);
+            }
+            return time < end ? i : -1;
+        }
+        return -1;
+    }
+
+    // Feed raw time-domain frames from the track and the microphone
+    processBuffers(time, referenceBuffer, singerBuffer, sampleRate) {
+        const reference = this.referenceTracker.update(this.referenceDetector.detect(referenceBuffer, sampleRate));
+        const singer = this.singerTracker.update(this.singerDetector.detect(singerBuffer, sampleRate));
+        return this.addFrame(time, reference, singer);
+    }
+
+    // Feed already-estimated pitches (Hz, or null when unvoiced).
+    // Returns the frame score between 0 and 1, or null if it was not scored.
+    addFrame(time, referenceFrequency, singerFrequency) {
+        this.trail.push({ time: time, reference: referenceFrequency, singer: singerFrequency });
+        while (this.trail.length > 0 && this.trail[0].time < time - this.trailDuration) {
+            this.trail.shift();
+        }
+
+        const index = this.lineIndexAt(time);
+        // Only score where the track itself has a clear vocal pitch
+        if (index === -1 || !referenceFrequency) return null;
+
+        const score = singerFrequency ? this.compare(referenceFrequency, singerFrequency) : 0;
+        this.lines[index].frames++;
+        this.lines[index].total += score;
+        return score;
+    }
+
+    // Octave-folded pitch distance mapped to 0..1, so singing an octave
+    // below or above the original still counts
+    compare(referenceFrequency, singerFrequency) {
+        const difference = pitchApi.frequencyToMidi(singerFrequency) - pitchApi.frequencyToMidi(referenceFrequency);
+        let folded = ((difference % 12) + 12) % 12;
+        if (folded > 6) folded = 12 - folded;
+
+        if (folded <= this.perfectRange) return 1;
+        return Math.max(0, 1 - (folded - this.perfectRange) / (this.missRange - this.perfectRange));
+    }
+
+    // 0-100 for one line, or null if it had nothing to score
+    lineScore(index) {
+        const line = this.lines[index];
+        if (!line || line.frames === 0) return null;
+        return Math.round(100 * line.total / line.frames);
+    }
+
+    // Per-line and overall scores; the overall score weights lines by length
+    results() {
+        let frames = 0;
+        let total = 0;
+
+        const lines = this.lyrics.map((lyric, index) => {
+            frames += this.lines[index].frames;
+            total += this.lines[index].total;
+            return {
+                index: index,
+                text: lyric.text,
+                frames: this.lines[index].frames,
+                score: this.lineScore(index)
+            };
+        });
+
+        return {
+            lines: lines,
+            overall: frames > 0 ? Math.round(100 * total / frames) : null
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScoringEngine };
+}
@@ -8,6 +8,9 @@ class LyricsSync {
         this.currentLyricIndex = -1;
         this.isPlaying = false;
         this.animationFrame = null;
+        this.pitchDetector = new PitchDetector();
+        this.pitchTracker = new PitchTracker();
+        this.pitchBuffer = null;
         this.canvas = document.getElementById('visualizerCanvas');
         this.canvasContext = this.canvas.getContext('2d');
         
@@ -41,6 +44,7 @@ class LyricsSync {
         
         audioInput.addEventListener('change', (e) => this.validateFile(e.target, 'audio'));
         lyricsInput.addEventListener('change', (e) => this.validateFile(e.target, 'lyrics'));
+        document.getElementById('trackFile').addEventListener('change', (e) => this.validateFile(e.target, 'track'));
     }
 
     validateFile(input, type) {
@@ -67,9 +71,9 @@ class LyricsSync {
                 errorElement.textContent = 'Please select a valid audio file (MP3, WAV, OGG, M4A, AAC)';
                 input.value = '';
             }
-        } else if (type === 'lyrics') {
-            if (!file.type.includes('text/') && !file.name.match(/\.(txt|lrc)$/i)) {
-                errorElement.textContent = 'Please select a valid lyrics file (TXT or LRC)';
+        } else if (type === 'lyrics' || type === 'track') {
+            if (!file.type.includes('text/') && !file.name.match(/\.(txt|lrc|srt|vtt)$/i)) {
+                errorElement.textContent = 'Please select a valid lyrics file (TXT, LRC, SRT or VTT)';
                 input.value = '';
             }
         }
@@ -99,6 +103,13 @@ class LyricsSync {
 
         const formData = new FormData(event.target);
 
+        // The extra track is optional; don't send its language and role alone
+        if (!document.getElementById('trackFile').files[0]) {
+            formData.delete('tracks');
+            formData.delete('trackLanguage');
+            formData.delete('trackRole');
+        }
+
         // Validate files before upload
         const audioFile = document.getElementById('audioFile').files[0];
         const lyricsFile = document.getElementById('lyricsFile').files[0];
@@ -125,8 +136,6 @@ class LyricsSync {
             }
 
             if (data.success) {
-                this.setupPlayer(data);
-                
                 // Show duplicate information if any
                 let message = 'Files processed successfully!';
                 if (data.duplicateInfo) {
@@ -142,8 +151,27 @@ class LyricsSync {
                         message += '\n\nDuplicate files detected and reused:\n' + duplicates.join('\n');
                     }
                 }
-                
-                this.showMessage(message, 'success');
+
+                // Plain UTF-8 needs no mention; anything else may have been guessed wrong
+                const encoding = data.encoding;
+                const guessedEncoding = encoding && encoding.source === 'detected' && encoding.encoding !== 'utf-8';
+                if (encoding && encoding.encoding !== 'utf-8') {
+                    const how = { bom: 'from its byte order mark', detected: 'detected', override: 'as chosen' }[encoding.source];
+                    message += `<p>Lyrics read as ${encoding.encoding} (${how}). If the text looks garbled, choose the encoding and upload again.</p>`;
+                }
+
+                // Stay here until the warnings, or a guessed encoding, have been read
+                const warnings = data.warnings || [];
+                if (warnings.length > 0 || guessedEncoding) {
+                    if (warnings.length > 0) {
+                        message += this.formatWarnings(warnings);
+                    }
+                    message += `<p><a href="${this.songPageUrl(data)}">Continue anyway →</a></p>`;
+                    this.showMessage(message, 'info');
+                } else {
+                    this.setupPlayer(data);
+                    this.showMessage(message, 'success');
+                }
             } else {
                 throw new Error(data.error || 'Upload failed');
             }
@@ -191,13 +219,35 @@ class LyricsSync {
         output.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
     }
 
+    // Lint report from the server as an HTML list; the lyric text in the
+    // messages comes from the user's file, so it is escaped
+    formatWarnings(warnings) {
+        const items = warnings.map(warning => {
+            const where = warning.line ? `Line ${warning.line}: ` : '';
+            const icon = warning.severity === 'warning' ? '⚠️' : 'ℹ️';
+            return `<li>${icon} ${this.escapeHtml(where + warning.message)}</li>`;
+        });
+        return `<p>The lyrics file has ${warnings.length} issue${warnings.length === 1 ? '' : 's'}:</p>` +
+            `<ul style="margin-left: 20px; max-height: 200px; overflow-y: auto;">${items.join('')}</ul>`;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Player page for the song; it loads audio and lyrics by song id.
+    // Lyrics without timestamps, or with only a draft sync worked out
+    // from the audio, go to the editor to be synced first.
+    songPageUrl(data) {
+        const isDraft = data.alignment && data.alignment.draft;
+        const page = data.lyrics.length > 0 && !isDraft ? 'player' : 'editor';
+        return `/${page}/${encodeURIComponent(data.songId)}`;
+    }
+
     setupPlayer(data) {
-        // Store data for the player page
-        sessionStorage.setItem('audioUrl', data.audioUrl);
-        sessionStorage.setItem('lyrics', JSON.stringify(data.lyrics));
-        
-        // Redirect to player page
-        window.location.href = `/player?audio=${encodeURIComponent(data.audioUrl)}&lyrics=${encodeURIComponent(JSON.stringify(data.lyrics))}`;
+        window.location.href = this.songPageUrl(data);
     }
 
     // ... rest of the methods remain the same as previous version
@@ -210,6 +260,7 @@ class LyricsSync {
             // Configure analyser for pitch detection
             this.analyser.fftSize = 2048; // Larger FFT for better frequency resolution
             this.analyser.smoothingTimeConstant = 0.8;
+            this.pitchBuffer = new Float32Array(this.analyser.fftSize);
             
             this.source.connect(this.analyser);
             this.analyser.connect(this.audioContext.destination);
@@ -351,32 +402,23 @@ class LyricsSync {
     updateTextScale() {
         if (!this.analyser) return;
 
-        // Get frequency data for pitch detection
-        const bufferLength = this.analyser.frequencyBinCount;
-        const dataArray = new Uint8Array(bufferLength);
-        this.analyser.getByteFrequencyData(dataArray);
-
-        // Find dominant frequency (pitch)
-        let maxVolume = 0;
-        let dominantFrequency = 0;
-        const sampleRate = this.audioContext.sampleRate;
+        // Estimate the sung pitch from the waveform (YIN) instead of the
+        // loudest FFT bin, which is usually a bass or drum harmonic
+        this.analyser.getFloatTimeDomainData(this.pitchBuffer);
+        const result = this.pitchDetector.detect(this.pitchBuffer, this.audioContext.sampleRate);
+        const frequency = this.pitchTracker.update(result);
 
-        for (let i = 0; i < bufferLength; i++) {
-            if (dataArray[i] > maxVolume) {
-                maxVolume = dataArray[i];
-                dominantFrequency = i * sampleRate / this.analyser.fftSize;
-            }
-        }
+        // Keep the last look through unvoiced gaps
+        if (!frequency) return;
 
-        // Map pitch to scale (human voice range: ~80Hz to 1100Hz)
-        const minPitch = 80;
-        const maxPitch = 1100;
-        const normalizedPitch = Math.max(0, Math.min(1, 
-            (dominantFrequency - minPitch) / (maxPitch - minPitch)
+        // Map pitch to scale in semitones (E2 to C6 covers most singing)
+        const minMidi = 40;
+        const maxMidi = 84;
+        const normalizedPitch = Math.max(0, Math.min(1,
+            (frequencyToMidi(frequency) - minMidi) / (maxMidi - minMidi)
         ));
 
         // More dramatic scaling based on pitch
-        const baseScale = 1;
         const pitchScale = 0.5 + normalizedPitch * 1.5; // Scale from 0.5x to 2x
         
         // Add some rotation based on pitch for more dynamic effect
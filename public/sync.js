@@ -0,0 +1,96 @@
+// Multi-screen playback sync: an estimate of the server clock, and drift
+// correction that keeps a follower's audio on the controller's position.
+// DriftCorrector has no DOM dependencies and works in Node as well.
+
+// Estimates the server clock from a few round trips to /clock, keeping the
+// one with the shortest round trip since its midpoint guess is the tightest
+class ServerClock {
+    constructor(options = {}) {
+        this.url = options.url || '/clock';
+        this.samples = options.samples || 5;
+        this.offset = 0; // ms to add to Date.now() to get server time
+        this.roundTrip = null; // ms, of the sample the offset came from
+    }
+
+    async sync() {
+        let best = null;
+
+        for (let i = 0; i < this.samples; i++) {
+            const sent = Date.now();
+            const response = await fetch(this.url, { cache: 'no-store' });
+            const data = await response.json();
+            const received = Date.now();
+
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || `Request failed with status ${response.status}`);
+            }
+
+            const roundTrip = received - sent;
+            if (!best || roundTrip < best.roundTrip) {
+                best = { roundTrip: roundTrip, offset: data.serverTime - (sent + roundTrip / 2) };
+            }
+        }
+
+        this.offset = best.offset;
+        this.roundTrip = best.roundTrip;
+        return this.offset;
+    }
+
+    now() {
+        return Date.now() + this.offset;
+    }
+}
+
+// Small drift is absorbed by nudging the playback rate so nobody hears a
+// skip; anything larger is a seek. Times are in seconds.
+class DriftCorrector {
+    constructor(options = {}) {
+        this.seekThreshold = options.seekThreshold || 0.5; // beyond this, jump
+        this.startThreshold = options.startThreshold || 0.025; // start nudging above this
+        this.stopThreshold = options.stopThreshold || 0.01; // back to normal speed below this
+        this.gain = options.gain || 0.5; // rate change per second of drift
+        this.maxRateChange = options.maxRateChange || 0.05;
+        this.correcting = false;
+    }
+
+    // What to do about a follower at currentTime that should be at expected.
+    // Returns { drift, seekTo } or { drift, playbackRate }.
+    correct(currentTime, expected) {
+        const drift = currentTime - expected;
+        const size = Math.abs(drift);
+
+        if (size > this.seekThreshold) {
+            this.correcting = false;
+            return { drift: drift, seekTo: expected, playbackRate: 1 };
+        }
+
+        if (size > this.startThreshold) {
+            this.correcting = true;
+        } else if (size < this.stopThreshold) {
+            this.correcting = false;
+        }
+
+        if (!this.correcting) {
+            return { drift: drift, playbackRate: 1 };
+        }
+
+        // Ahead plays slower, behind plays faster
+        const change = Math.max(-this.maxRateChange, Math.min(this.maxRateChange, drift * this.gain));
+        return { drift: drift, playbackRate: 1 - change };
+    }
+
+    reset() {
+        this.correcting = false;
+    }
+}
+
+// Where a session state puts the song at server time `time` (ms), the same
+// arithmetic as positionAt in lib/sessionStore.js
+function sessionPosition(state, time) {
+    if (!state.playing) return state.position;
+    return state.position + Math.max(0, time - state.at) / 1000;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ServerClock, DriftCorrector, sessionPosition };
+}
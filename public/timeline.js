@@ -0,0 +1,390 @@
+// Waveform timeline with one draggable marker per timed lyric line.
+// The audio is decoded in the browser with the Web Audio API; markers snap to
+// detected onsets unless Alt is held while dragging.
+class WaveformTimeline {
+    constructor(canvas, audioElement, callbacks) {
+        this.canvas = canvas;
+        this.canvasContext = canvas.getContext('2d');
+        this.audioElement = audioElement;
+        this.onChange = callbacks.onChange || (() => {});
+
+        this.lines = [];
+        this.peaks = null; // max amplitude per peak bucket
+        this.peaksPerSecond = 200;
+        this.onsets = [];
+        this.duration = 0;
+
+        this.pixelsPerSecond = 50; // zoom level
+        this.minPixelsPerSecond = 5;
+        this.maxPixelsPerSecond = 200;
+        this.viewStart = 0; // seconds at the left edge
+        this.snapEnabled = true;
+        this.snapDistance = 0.15; // seconds
+
+        this.dragIndex = -1;
+        this.dragMoved = false;
+        this.dragStartTime = null;
+        this.auditionEnd = null;
+        this.animationFrame = null;
+
+        this.setupEventListeners();
+        this.resize();
+    }
+
+    setupEventListeners() {
+        this.canvas.addEventListener('mousedown', (e) => this.handleMouseDown(e));
+        window.addEventListener('mousemove', (e) => this.handleMouseMove(e));
+        window.addEventListener('mouseup', (e) => this.handleMouseUp(e));
+        this.canvas.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+        window.addEventListener('resize', () => this.resize());
+
+        this.audioElement.addEventListener('play', () => this.startPlayhead());
+        this.audioElement.addEventListener('pause', () => this.stopPlayhead());
+        this.audioElement.addEventListener('seeked', () => this.draw());
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.canvas.width = this.canvas.offsetWidth * ratio;
+        this.canvas.height = this.canvas.offsetHeight * ratio;
+        this.draw();
+    }
+
+    async load(audioUrl) {
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        const audioContext = new AudioContextClass();
+
+        try {
+            const response = await fetch(audioUrl);
+            const arrayBuffer = await response.arrayBuffer();
+            const audioBuffer = await audioContext.decodeAudioData(arrayBuffer);
+
+            const samples = this.mixToMono(audioBuffer);
+            this.duration = audioBuffer.duration;
+            this.peaks = this.computePeaks(samples, audioBuffer.sampleRate);
+            this.onsets = this.detectOnsets(samples, audioBuffer.sampleRate);
+
+            console.log('Timeline decoded', this.duration.toFixed(1), 's with', this.onsets.length, 'onsets');
+            this.draw();
+        } finally {
+            audioContext.close();
+        }
+    }
+
+    mixToMono(audioBuffer) {
+        const samples = new Float32Array(audioBuffer.length);
+        for (let channel = 0; channel < audioBuffer.numberOfChannels; channel++) {
+            const data = audioBuffer.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                samples[i] += data[i] / audioBuffer.numberOfChannels;
+            }
+        }
+        return samples;
+    }
+
+    computePeaks(samples, sampleRate) {
+        const bucketSize = Math.max(1, Math.floor(sampleRate / this.peaksPerSecond));
+        const peaks = new Float32Array(Math.ceil(samples.length / bucketSize));
+
+        for (let bucket = 0; bucket < peaks.length; bucket++) {
+            let max = 0;
+            const end = Math.min(samples.length, (bucket + 1) * bucketSize);
+            for (let i = bucket * bucketSize; i < end; i++) {
+                const value = Math.abs(samples[i]);
+                if (value > max) max = value;
+            }
+            peaks[bucket] = max;
+        }
+        return peaks;
+    }
+
+    // Energy-flux onset detection: frames whose energy jumps well above the
+    // local average are candidate line starts
+    detectOnsets(samples, sampleRate) {
+        const frameSize = 512;
+        const frameCount = Math.floor(samples.length / frameSize);
+        const flux = new Float32Array(frameCount);
+
+        let previousEnergy = 0;
+        for (let frame = 0; frame < frameCount; frame++) {
+            let energy = 0;
+            for (let i = frame * frameSize; i < (frame + 1) * frameSize; i++) {
+                energy += samples[i] * samples[i];
+            }
+            energy = Math.sqrt(energy / frameSize);
+            flux[frame] = Math.max(0, energy - previousEnergy);
+            previousEnergy = energy;
+        }
+
+        const onsets = [];
+        const averageFrames = 10; // frames on each side for the local average
+        const minSpacing = 0.1; // seconds between onsets
+        const frameDuration = frameSize / sampleRate;
+
+        for (let frame = 1; frame < frameCount - 1; frame++) {
+            let sum = 0;
+            let count = 0;
+            for (let i = Math.max(0, frame - averageFrames); i < Math.min(frameCount, frame + averageFrames); i++) {
+                sum += flux[i];
+                count++;
+            }
+            const threshold = (sum / count) * 1.5 + 0.002;
+            const isPeak = flux[frame] > flux[frame - 1] && flux[frame] >= flux[frame + 1];
+
+            if (isPeak && flux[frame] > threshold) {
+                const time = frame * frameDuration;
+                if (onsets.length === 0 || time - onsets[onsets.length - 1] >= minSpacing) {
+                    onsets.push(time);
+                }
+            }
+        }
+        return onsets;
+    }
+
+    // lines are the editor's { text, timestamp } objects; drags edit them in place
+    setLines(lines) {
+        this.lines = lines;
+        this.draw();
+    }
+
+    setZoom(pixelsPerSecond, anchorTime) {
+        const anchor = anchorTime !== undefined ? anchorTime : this.viewStart + this.viewDuration() / 2;
+        const anchorOffset = (anchor - this.viewStart) / this.viewDuration();
+
+        this.pixelsPerSecond = Math.max(this.minPixelsPerSecond, Math.min(this.maxPixelsPerSecond, pixelsPerSecond));
+        this.setViewStart(anchor - anchorOffset * this.viewDuration());
+    }
+
+    zoomIn() {
+        this.setZoom(this.pixelsPerSecond * 1.5);
+    }
+
+    zoomOut() {
+        this.setZoom(this.pixelsPerSecond / 1.5);
+    }
+
+    setViewStart(time) {
+        const maxStart = Math.max(0, this.duration - this.viewDuration());
+        this.viewStart = Math.max(0, Math.min(maxStart, time));
+        this.draw();
+    }
+
+    viewDuration() {
+        return this.canvas.width / (window.devicePixelRatio || 1) / this.pixelsPerSecond;
+    }
+
+    timeToX(time) {
+        return (time - this.viewStart) * this.pixelsPerSecond;
+    }
+
+    eventToTime(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return this.viewStart + (event.clientX - rect.left) / this.pixelsPerSecond;
+    }
+
+    snapTime(time) {
+        let closest = time;
+        let closestDistance = this.snapDistance;
+        for (const onset of this.onsets) {
+            const distance = Math.abs(onset - time);
+            if (distance < closestDistance) {
+                closest = onset;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    // Index of the marker within a few pixels of the event, or -1
+    markerAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        let found = -1;
+        let foundDistance = 6;
+
+        this.lines.forEach((line, index) => {
+            if (line.timestamp === null) return;
+            const distance = Math.abs(this.timeToX(line.timestamp) - x);
+            if (distance < foundDistance) {
+                found = index;
+                foundDistance = distance;
+            }
+        });
+        return found;
+    }
+
+    handleMouseDown(event) {
+        const index = this.markerAt(event);
+        if (index === -1) {
+            // Clicking empty timeline seeks there
+            this.audioElement.currentTime = Math.max(0, this.eventToTime(event));
+            return;
+        }
+
+        event.preventDefault();
+        this.dragIndex = index;
+        this.dragMoved = false;
+        this.dragStartTime = this.lines[index].timestamp;
+    }
+
+    handleMouseMove(event) {
+        if (this.dragIndex === -1) {
+            this.canvas.style.cursor = this.markerAt(event) !== -1 ? 'ew-resize' : 'pointer';
+            return;
+        }
+
+        let time = Math.max(0, Math.min(this.duration || Infinity, this.eventToTime(event)));
+        if (this.snapEnabled && !event.altKey) {
+            time = this.snapTime(time);
+        }
+
+        this.dragMoved = true;
+        this.lines[this.dragIndex].timestamp = time;
+        this.draw();
+    }
+
+    handleMouseUp() {
+        if (this.dragIndex === -1) return;
+
+        const index = this.dragIndex;
+        this.dragIndex = -1;
+
+        if (this.dragMoved) {
+            this.onChange(index, this.dragStartTime);
+        } else {
+            this.audition(index);
+        }
+    }
+
+    handleWheel(event) {
+        event.preventDefault();
+        if (event.ctrlKey || event.metaKey) {
+            const factor = event.deltaY < 0 ? 1.25 : 0.8;
+            this.setZoom(this.pixelsPerSecond * factor, this.eventToTime(event));
+        } else {
+            const delta = event.deltaX || event.deltaY;
+            this.setViewStart(this.viewStart + delta / this.pixelsPerSecond);
+        }
+    }
+
+    // Play one line from its marker up to the next marker
+    audition(index) {
+        const line = this.lines[index];
+        const nextTimes = this.lines
+            .map(other => other.timestamp)
+            .filter(time => time !== null && time > line.timestamp);
+
+        this.auditionEnd = nextTimes.length > 0 ? Math.min.apply(null, nextTimes) : line.timestamp + 4;
+        this.audioElement.currentTime = line.timestamp;
+        this.audioElement.play();
+    }
+
+    startPlayhead() {
+        this.stopPlayhead();
+        const tick = () => {
+            const currentTime = this.audioElement.currentTime;
+
+            if (this.auditionEnd !== null && currentTime >= this.auditionEnd) {
+                this.auditionEnd = null;
+                this.audioElement.pause();
+            }
+
+            // Keep the playhead in view while playing
+            if (this.dragIndex === -1 && (currentTime < this.viewStart || currentTime > this.viewStart + this.viewDuration())) {
+                this.setViewStart(currentTime - this.viewDuration() * 0.1);
+            }
+
+            this.draw();
+            this.animationFrame = requestAnimationFrame(tick);
+        };
+        tick();
+    }
+
+    stopPlayhead() {
+        this.auditionEnd = null;
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+        this.draw();
+    }
+
+    draw() {
+        const ratio = window.devicePixelRatio || 1;
+        const context = this.canvasContext;
+        const width = this.canvas.width / ratio;
+        const height = this.canvas.height / ratio;
+
+        context.setTransform(ratio, 0, 0, ratio, 0, 0);
+        context.clearRect(0, 0, width, height);
+
+        this.drawWaveform(width, height);
+        this.drawOnsets(height);
+        this.drawMarkers(height);
+
+        // Playhead
+        const playheadX = this.timeToX(this.audioElement.currentTime || 0);
+        context.fillStyle = '#f44336';
+        context.fillRect(playheadX - 1, 0, 2, height);
+    }
+
+    drawWaveform(width, height) {
+        const context = this.canvasContext;
+        const middle = height / 2;
+
+        if (!this.peaks) {
+            context.fillStyle = '#999';
+            context.font = '16px sans-serif';
+            context.fillText('Decoding audio...', 10, middle);
+            return;
+        }
+
+        context.fillStyle = '#667eea';
+        for (let x = 0; x < width; x++) {
+            const startBucket = Math.floor((this.viewStart + x / this.pixelsPerSecond) * this.peaksPerSecond);
+            const endBucket = Math.max(startBucket + 1, Math.floor((this.viewStart + (x + 1) / this.pixelsPerSecond) * this.peaksPerSecond));
+
+            let peak = 0;
+            for (let bucket = startBucket; bucket < endBucket && bucket < this.peaks.length; bucket++) {
+                if (this.peaks[bucket] > peak) peak = this.peaks[bucket];
+            }
+
+            const barHeight = Math.max(1, peak * (height - 30));
+            context.fillRect(x, middle - barHeight / 2 + 10, 1, barHeight);
+        }
+    }
+
+    drawOnsets(height) {
+        const context = this.canvasContext;
+        const viewEnd = this.viewStart + this.viewDuration();
+
+        context.fillStyle = 'rgba(118, 75, 162, 0.35)';
+        for (const onset of this.onsets) {
+            if (onset < this.viewStart || onset > viewEnd) continue;
+            context.fillRect(this.timeToX(onset), height - 8, 1, 8);
+        }
+    }
+
+    drawMarkers(height) {
+        const context = this.canvasContext;
+        context.font = '12px sans-serif';
+
+        this.lines.forEach((line, index) => {
+            if (line.timestamp === null) return;
+
+            const x = this.timeToX(line.timestamp);
+            if (x < -150 || x > this.canvas.width) return;
+
+            const isDragging = index === this.dragIndex;
+            context.fillStyle = isDragging ? '#ff9800' : '#4CAF50';
+            context.fillRect(x - 1, 0, 2, height);
+
+            // Label tab with the start of the line text
+            const label = line.text.length > 24 ? line.text.slice(0, 23) + '…' : line.text;
+            const labelWidth = context.measureText(label).width + 8;
+            context.fillRect(x, 0, labelWidth, 18);
+            context.fillStyle = 'white';
+            context.fillText(label, x + 4, 13);
+        });
+    }
+}
@@ -2,68 +2,62 @@ const express = require('express');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const crypto = require('crypto');
+const os = require('os');
+const QRCode = require('qrcode');
+const songStore = require('./lib/songStore');
+const queueStore = require('./lib/queueStore');
+const sessionStore = require('./lib/sessionStore');
+const blobStore = require('./lib/blobStore');
+const documentStore = require('./lib/documentStore');
+const { parseLyrics } = require('./lib/lyricsParser');
+const { exportFormats, serializeLyrics, setLrcOffset } = require('./lib/lyricsSerializer');
+const { alignTrack } = require('./lib/trackAligner');
+const { decodeAudio } = require('./lib/audioDecoder');
+const { readAudioMetadata } = require('./lib/audioMetadata');
+const { alignLyrics, untimedLines } = require('./lib/lyricsAligner');
+const { validateLyrics } = require('./lib/lyricsValidator');
+const { diffLyrics } = require('./lib/lyricsDiff');
+const { decodeText } = require('./lib/textEncoding');
 
 const app = express();
 const PORT = 3000;
 
-// File hash storage (in production, use a database)
-const fileHashes = new Map(); // hash -> { filename, originalName, uploadDate }
-
-// Function to calculate file hash
-function calculateFileHash(filePath) {
-  try {
-    const fileBuffer = fs.readFileSync(filePath);
-    const hashSum = crypto.createHash('sha256');
-    hashSum.update(fileBuffer);
-    return hashSum.digest('hex');
-  } catch (error) {
-    console.error('Error calculating file hash:', error);
-    return null;
-  }
+// Store generated content (lyrics from the editor, cover art taken out of
+// an audio file), reusing an identical existing file when there is one.
+// Resolves with the stored filename.
+async function storeGeneratedFile(content, originalName) {
+  const safeName = originalName.replace(/[^a-zA-Z0-9.\-]/g, '_');
+  const stored = await blobStore.storeFile(content, Date.now() + '-' + safeName, originalName);
+  return stored.filename;
 }
 
-// Function to search for duplicate files
-function findDuplicateFile(filePath) {
-  const hash = calculateFileHash(filePath);
-  if (!hash) return null;
-  
-  // Check if we already have a file with this hash
-  if (fileHashes.has(hash)) {
-    const existingFile = fileHashes.get(hash);
-    console.log(`Duplicate detected! Hash: ${hash}, Existing file: ${existingFile.filename}`);
-    return existingFile;
+// Re-save an uploaded lyrics file as UTF-8, whatever it came in, so
+// everything after can read it as UTF-8. encoding overrides the detection.
+// Returns { encoding, source, confidence }; throws for an unknown encoding.
+function normalizeLyricsUpload(file, encoding) {
+  const buffer = fs.readFileSync(file.path);
+  const decoded = decodeText(buffer, encoding);
+
+  const utf8 = Buffer.from(decoded.text, 'utf8');
+  if (!utf8.equals(buffer)) {
+    fs.writeFileSync(file.path, utf8);
+    console.log(`Converted ${file.originalname} from ${decoded.encoding} (${decoded.source}) to UTF-8`);
   }
-  
-  return null;
+  return { encoding: decoded.encoding, source: decoded.source, confidence: decoded.confidence };
 }
 
-// Function to register a new file
-function registerFile(filePath, originalName) {
-  const hash = calculateFileHash(filePath);
-  if (!hash) return null;
-  
-  const fileInfo = {
-    filename: path.basename(filePath),
-    originalName: originalName,
-    uploadDate: new Date().toISOString(),
-    hash: hash
-  };
-  
-  fileHashes.set(hash, fileInfo);
-  console.log(`Registered new file: ${fileInfo.filename} (hash: ${hash})`);
-  return fileInfo;
-}
+// Uploads are staged on local disk while their request is handled, then
+// kept in the configured storage backend (see lib/storage.js)
+const stagingDir = path.join(os.tmpdir(), 'lyrics-sync-uploads');
 
 // Configure multer for file uploads with better error handling
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, 'uploads');
-    if (!fs.existsSync(uploadDir)) {
-      fs.mkdirSync(uploadDir, { recursive: true });
-      console.log('Created uploads directory:', uploadDir);
+    if (!fs.existsSync(stagingDir)) {
+      fs.mkdirSync(stagingDir, { recursive: true });
+      console.log('Created upload staging directory:', stagingDir);
     }
-    cb(null, uploadDir);
+    cb(null, stagingDir);
   },
   filename: (req, file, cb) => {
     // Clean filename and add timestamp
@@ -92,21 +86,22 @@ const fileFilter = (req, file, cb) => {
       console.log('Rejected audio file type:', file.mimetype);
       cb(new Error(`Unsupported audio format: ${file.mimetype}. Please use MP3, WAV, OGG, or M4A.`), false);
     }
-  } else if (file.fieldname === 'lyrics') {
+  } else if (file.fieldname === 'lyrics' || file.fieldname === 'tracks') {
     const allowedTextTypes = [
       'text/plain', 
       'application/json',
       'text/html',
+      'text/vtt',
+      'application/x-subrip',
       'application/octet-stream' // For some .lrc files
     ];
     
     if (allowedTextTypes.includes(file.mimetype) || 
-        file.originalname.endsWith('.lrc') ||
-        file.originalname.endsWith('.txt')) {
+        /\.(lrc|txt|srt|vtt)$/i.test(file.originalname)) {
       cb(null, true);
     } else {
       console.log('Rejected lyrics file type:', file.mimetype);
-      cb(new Error(`Unsupported lyrics format: ${file.mimetype}. Please use TXT or LRC files.`), false);
+      cb(new Error(`Unsupported lyrics format: ${file.mimetype}. Please use TXT, LRC, SRT or VTT files.`), false);
     }
   } else {
     cb(new Error('Unexpected field name'), false);
@@ -118,7 +113,7 @@ const upload = multer({
   fileFilter: fileFilter,
   limits: {
     fileSize: 50 * 1024 * 1024, // 50MB max file size
-    files: 2 // Max 2 files
+    files: 12 // Audio, lyrics and up to 10 extra lyric tracks
   }
 });
 
@@ -127,8 +122,56 @@ app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// Serve uploaded files
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Serve stored files from whichever backend holds them. Range requests let
+// the player seek in audio without downloading all of it first.
+app.get('/uploads/:filename', async (req, res) => {
+  const filename = req.params.filename;
+
+  try {
+    const stats = blobStore.isStoredName(filename) ? await blobStore.statFile(filename) : null;
+    if (!stats) {
+      return res.status(404).json({ success: false, error: 'File not found' });
+    }
+
+    res.type(path.extname(filename) || 'application/octet-stream');
+    res.set({ 'Accept-Ranges': 'bytes', 'Last-Modified': new Date(stats.modified).toUTCString() });
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    // Several ranges at once are rare enough to answer with the whole file
+    let range = { start: 0, end: stats.size - 1 };
+    const ranges = req.headers.range ? req.range(stats.size, { combine: true }) : null;
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${stats.size}`);
+      return res.status(416).end();
+    }
+    if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+      range = ranges[0];
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${stats.size}`);
+    }
+
+    res.set('Content-Length', String(range.end - range.start + 1));
+    if (req.method === 'HEAD' || stats.size === 0) {
+      return res.end();
+    }
+
+    const stream = await blobStore.openStream(filename, range);
+    // A seek drops the old request; stop fetching what nobody reads
+    res.on('close', () => stream.destroy());
+    stream.on('error', error => {
+      console.error('Error streaming stored file:', filename, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('Error serving stored file:', filename, error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ success: false, error: 'Error reading file: ' + error.message });
+  }
+});
 
 // Routes
 app.get('/', (req, res) => {
@@ -140,11 +183,171 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Handle file upload with improved error handling
-app.post('/upload', upload.fields([
+// Extra lyric tracks (translations, romanizations) per song and upload
+const maxTracks = 10;
+
+const songUpload = upload.fields([
   { name: 'audio', maxCount: 1 },
-  { name: 'lyrics', maxCount: 1 }
-]), (req, res) => {
+  { name: 'lyrics', maxCount: 1 },
+  { name: 'tracks', maxCount: maxTracks }
+]);
+
+const trackUpload = upload.fields([
+  { name: 'tracks', maxCount: maxTracks }
+]);
+
+// Extra lyric tracks arrive as files in the tracks field, with one
+// trackLanguage and one trackRole body value per file, in the same order.
+// Their encoding is detected unless a trackEncoding value is given, or a
+// lyricsEncoding for the whole upload.
+// Returns { tracks: [{ file, language, role, encoding }] } or { error }.
+function readTrackUploads(files, body) {
+  const languages = [].concat(body.trackLanguage || []);
+  const roles = [].concat(body.trackRole || []);
+  const encodings = [].concat(body.trackEncoding || []);
+  const tracks = [];
+
+  for (let i = 0; i < files.length; i++) {
+    const file = files[i];
+    const role = (roles[i] || 'translation').trim().toLowerCase();
+    if (!songStore.trackRoles.includes(role)) {
+      return { error: `Invalid role for track ${file.originalname}: ${role}. Use ${songStore.trackRoles.join(' or ')}.` };
+    }
+
+    let parsed;
+    let encoding;
+    try {
+      encoding = normalizeLyricsUpload(file, encodings[i] || body.lyricsEncoding);
+      parsed = parseLyrics(fs.readFileSync(file.path, 'utf8'));
+    } catch (error) {
+      return { error: `Error reading track ${file.originalname}: ${error.message}` };
+    }
+    if (parsed.lines.length === 0) {
+      return { error: `Track ${file.originalname} has no timed lines to align` };
+    }
+
+    tracks.push({
+      file: file,
+      role: role,
+      // The track's own [la:] tag fills in a blank language
+      language: (languages[i] || '').trim() || parsed.metadata.language || '',
+      encoding: encoding
+    });
+  }
+
+  return { tracks: tracks };
+}
+
+// Move a staged upload into storage, reusing an identical stored file.
+// Resolves with blobStore.storeFile's { filename, duplicate }.
+async function storeUploadedFile(file) {
+  const stored = await blobStore.storeFile(fs.readFileSync(file.path), file.filename, file.originalname);
+  fs.unlinkSync(file.path);
+  return stored;
+}
+
+// Keep an uploaded track file, reusing an identical stored file
+async function storeTrackFile(track) {
+  return {
+    language: track.language,
+    role: track.role,
+    lyricsFile: (await storeUploadedFile(track.file)).filename,
+    lyricsOriginalName: track.file.originalname
+  };
+}
+
+// Draft timing for an untimed lyrics file, worked out from the audio.
+// Resolves with null when there are no lyric lines to place, else
+// { lyricsFile, originalName, parsed, segments } or { error } when the audio
+// can't be read.
+async function alignUntimedLyrics(audioFilename, lyricsFilename, originalName, metadata) {
+  const texts = untimedLines(await readLyricsFile(lyricsFilename));
+  if (texts.length === 0) return null;
+
+  let audio;
+  try {
+    audio = decodeAudio(await blobStore.readFile(audioFilename));
+  } catch (error) {
+    console.log('Skipping lyrics alignment:', error.message);
+    return { error: error.message };
+  }
+
+  const started = Date.now();
+  const result = alignLyrics(audio.samples, audio.sampleRate, texts);
+  console.log(`Aligned ${texts.length} lines to ${result.segments.length} vocal segments in ${Date.now() - started}ms`);
+
+  // Marked in [by:] so a draft is recognisable once downloaded
+  const draftMetadata = Object.assign({}, metadata, { creator: 'lyrics-sync auto-align (draft)' });
+  const draftName = originalName.replace(/\.[^/.]+$/, '') + '.lrc';
+  const filename = await storeGeneratedFile(serializeLyrics({ metadata: draftMetadata, lines: result.lines }, 'lrc'), draftName);
+
+  return {
+    lyricsFile: filename,
+    originalName: draftName,
+    parsed: parseLyrics(await readLyricsFile(filename)),
+    segments: result.segments.length
+  };
+}
+
+// Lint lyrics text, checking stamps and the [ti:]/[ar:]/[length:] headers
+// against the audio's tags when it has any. Returns the validation report.
+function lintLyrics(content, audio) {
+  return validateLyrics(content, {
+    duration: audio && audio.duration ? audio.duration : undefined,
+    title: audio ? audio.title : null,
+    artist: audio ? audio.artist : null
+  });
+}
+
+const artworkExtensions = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/gif': '.gif', 'image/webp': '.webp' };
+
+// Save the cover art embedded in an audio file. Resolves with the stored
+// filename, or null when there is none or it is not an image browsers can show.
+async function storeArtwork(artwork, title) {
+  const extension = artwork && artworkExtensions[artwork.mimeType];
+  if (!extension) return null;
+  return storeGeneratedFile(artwork.data, `${title || 'cover'}-cover${extension}`);
+}
+
+// Author and comment for a lyrics revision, from the request body, with a
+// comment describing the change when the client gave none
+function revisionFrom(body, comment) {
+  const field = name => body && typeof body[name] === 'string' ? body[name] : '';
+  return { author: field('author'), comment: field('comment') || comment };
+}
+
+// Turn away an upload that would take the library over its storage quota,
+// answering 413. Resolves with true when it did.
+async function rejectOverQuota(req, res) {
+  const files = [].concat(...Object.values(req.files || {}));
+  let error;
+  try {
+    error = await blobStore.checkQuota(files);
+  } catch (checkError) {
+    console.error('Error checking storage quota:', checkError);
+    discardUploads(files);
+    res.status(500).json({ success: false, error: 'Error checking storage quota: ' + checkError.message });
+    return true;
+  }
+  if (!error) return false;
+
+  discardUploads(files);
+  res.status(413).json({ success: false, error: error });
+  return true;
+}
+
+// Remove the staged files of a rejected or failed upload
+function discardUploads(files) {
+  const list = Array.isArray(files) ? files : [].concat(...Object.values(files || {}));
+  for (const file of list) {
+    if (fs.existsSync(file.path)) {
+      fs.unlinkSync(file.path);
+    }
+  }
+}
+
+// Handle file upload with improved error handling
+async function handleUpload(req, res) {
   console.log('Upload request received');
   console.log('Files received:', req.files);
   console.log('Body:', req.body);
@@ -161,42 +364,81 @@ app.post('/upload', upload.fields([
       const missing = [];
       if (!req.files.audio) missing.push('audio');
       if (!req.files.lyrics) missing.push('lyrics');
-      
+      discardUploads(req.files);
+
       return res.status(400).json({ 
         success: false,
         error: `Missing files: ${missing.join(', ')}` 
       });
     }
 
+    const trackUploads = readTrackUploads(req.files.tracks || [], req.body);
+    if (trackUploads.error) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        error: trackUploads.error
+      });
+    }
+
+    if (await rejectOverQuota(req, res)) return;
+
     const audioFile = req.files.audio[0];
     const lyricsFile = req.files.lyrics[0];
 
     console.log('Audio file:', audioFile);
     console.log('Lyrics file:', lyricsFile);
 
-    // Check for duplicate files
-    const duplicateAudio = findDuplicateFile(audioFile.path);
-    const duplicateLyrics = findDuplicateFile(lyricsFile.path);
-    
-    let finalAudioUrl = `/uploads/${audioFile.filename}`;
+    // Before the duplicate check, so a file matches its UTF-8 twin
+    let lyricsEncoding;
+    try {
+      lyricsEncoding = normalizeLyricsUpload(lyricsFile, req.body.lyricsEncoding);
+    } catch (error) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    // Parse the lyrics as uploaded; a duplicate has the very same content
     let finalLyricsData = [];
+    let finalMetadata = {};
+    try {
+      const lyricsContent = fs.readFileSync(lyricsFile.path, 'utf8');
+      console.log('Lyrics content length:', lyricsContent.length);
+      const parsed = parseLyrics(lyricsContent);
+      finalLyricsData = parsed.lines;
+      finalMetadata = parsed.metadata;
+      console.log('Parsed lyrics data:', finalLyricsData.length, 'lines');
+    } catch (error) {
+      console.error('Error parsing lyrics file:', error);
+      discardUploads(req.files);
+      return res.status(400).json({ 
+        success: false,
+        error: 'Error reading lyrics file: ' + error.message 
+      });
+    }
+
+    const audioTags = readAudioMetadata(fs.readFileSync(audioFile.path));
+
+    // Store both files, or point at identical ones stored already
+    const storedAudioFile = await storeUploadedFile(audioFile);
+    const storedLyricsFile = await storeUploadedFile(lyricsFile);
+    const duplicateAudio = storedAudioFile.duplicate;
+    const duplicateLyrics = storedLyricsFile.duplicate;
     let duplicateInfo = {};
 
     // Handle audio file
     if (duplicateAudio) {
       console.log('Using existing audio file:', duplicateAudio.filename);
-      finalAudioUrl = `/uploads/${duplicateAudio.filename}`;
       duplicateInfo.audio = {
         isDuplicate: true,
         originalFile: duplicateAudio.filename,
         originalName: duplicateAudio.originalName,
         uploadDate: duplicateAudio.uploadDate
       };
-      // Remove the duplicate file
-      fs.unlinkSync(audioFile.path);
     } else {
-      // Register new audio file
-      registerFile(audioFile.path, audioFile.originalname);
       duplicateInfo.audio = { isDuplicate: false };
     }
 
@@ -209,219 +451,1215 @@ app.post('/upload', upload.fields([
         originalName: duplicateLyrics.originalName,
         uploadDate: duplicateLyrics.uploadDate
       };
-      // Remove the duplicate file
-      fs.unlinkSync(lyricsFile.path);
-      
-      // Parse the existing lyrics file
-      try {
-        const existingLyricsPath = path.join(__dirname, 'uploads', duplicateLyrics.filename);
-        const lyricsContent = fs.readFileSync(existingLyricsPath, 'utf8');
-        finalLyricsData = parseLyrics(lyricsContent);
-      } catch (error) {
-        console.error('Error reading existing lyrics file:', error);
-        return res.status(500).json({ 
-          success: false,
-          error: 'Error reading existing lyrics file: ' + error.message 
-        });
-      }
     } else {
-      // Parse new lyrics file
-      try {
-        const lyricsContent = fs.readFileSync(lyricsFile.path, 'utf8');
-        console.log('Lyrics content length:', lyricsContent.length);
-        finalLyricsData = parseLyrics(lyricsContent);
-        console.log('Parsed lyrics data:', finalLyricsData.length, 'lines');
-        
-        // Register new lyrics file
-        registerFile(lyricsFile.path, lyricsFile.originalname);
-        duplicateInfo.lyrics = { isDuplicate: false };
-      } catch (error) {
-        console.error('Error parsing lyrics file:', error);
-        return res.status(400).json({ 
-          success: false,
-          error: 'Error reading lyrics file: ' + error.message 
-        });
+      duplicateInfo.lyrics = { isDuplicate: false };
+    }
+
+    const storedAudio = storedAudioFile.filename;
+    const finalAudioUrl = `/uploads/${storedAudio}`;
+    const title = req.body.title || finalMetadata.title || audioTags.title || audioFile.originalname.replace(/\.[^/.]+$/, '');
+    const artist = req.body.artist || finalMetadata.artist || audioTags.artist;
+    let storedLyrics = storedLyricsFile.filename;
+    let lyricsOriginalName = lyricsFile.originalname;
+
+    // Lyrics without timestamps get a draft sync from the audio to refine
+    let alignment = null;
+    if (finalLyricsData.length === 0) {
+      const aligned = await alignUntimedLyrics(storedAudio, storedLyrics, lyricsFile.originalname,
+        Object.assign({}, finalMetadata, { title: title, artist: artist }));
+
+      if (aligned && aligned.error) {
+        alignment = { draft: false, error: aligned.error };
+      } else if (aligned) {
+        storedLyrics = aligned.lyricsFile;
+        lyricsOriginalName = aligned.originalName;
+        finalLyricsData = aligned.parsed.lines;
+        finalMetadata = aligned.parsed.metadata;
+        alignment = { draft: true, segments: aligned.segments };
       }
     }
 
+    // Lint the lyrics as stored, so an aligned upload reports on its draft
+    let warnings = [];
+    try {
+      const storedLyricsText = await readLyricsFile(storedLyrics);
+      warnings = lintLyrics(storedLyricsText, audioTags).warnings;
+    } catch (error) {
+      console.error('Error validating lyrics:', error);
+    }
+
+    // Record the audio/lyrics pairing in the song catalog; the LRC
+    // [ti:]/[ar:] headers and then the audio's own tags fill in anything the
+    // form left blank
+    const song = songStore.createSong({
+      title: title,
+      artist: artist,
+      album: req.body.album || finalMetadata.album || audioTags.album,
+      duration: audioTags.duration,
+      artworkFile: await storeArtwork(audioTags.artwork, title),
+      audioFile: storedAudio,
+      audioOriginalName: audioFile.originalname,
+      lyricsFile: storedLyrics,
+      lyricsOriginalName: lyricsOriginalName,
+      lyricsRevision: revisionFrom(req.body, alignment && alignment.draft ? 'Uploaded; timings drafted from the audio' : 'Uploaded'),
+      tracks: await Promise.all(trackUploads.tracks.map(storeTrackFile))
+    });
+    // The untimed upload, once a draft takes its place
+    if (storedLyrics !== storedLyricsFile.filename) {
+      await blobStore.removeUnreferenced([storedLyricsFile.filename]);
+    }
+
     res.json({
       success: true,
+      songId: song.id,
+      song: toSongResponse(song),
       audioUrl: finalAudioUrl,
       lyrics: finalLyricsData,
+      metadata: finalMetadata,
+      tracks: await readSongTracks(song, finalLyricsData),
+      alignment: alignment,
+      warnings: warnings,
+      encoding: lyricsEncoding,
+      trackEncodings: trackUploads.tracks.map(track => track.encoding),
       message: 'Files processed successfully',
       duplicateInfo: duplicateInfo
     });
 
   } catch (error) {
     console.error('Upload error:', error);
+    discardUploads(req.files);
     res.status(500).json({ 
       success: false,
       error: 'Server error during upload: ' + error.message 
     });
   }
-});
+}
 
-// Error handling middleware for multer
-app.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        error: 'File too large. Maximum size is 50MB.'
-      });
-    }
-    if (error.code === 'LIMIT_FILE_COUNT') {
-      return res.status(400).json({
-        success: false,
-        error: 'Too many files. Please upload only one audio and one lyrics file.'
+app.post('/upload', songUpload, handleUpload);
+
+const validateUpload = upload.fields([
+  { name: 'lyrics', maxCount: 1 },
+  { name: 'audio', maxCount: 1 }
+]);
+
+// Check a lyrics file without storing anything. Multipart with a lyrics file
+// (and optionally the audio, for its length and tags), or JSON
+// { content, duration?, title?, artist? }
+app.post('/lyrics/validate', validateUpload, (req, res) => {
+  const files = req.files || {};
+  const lyricsFile = files.lyrics && files.lyrics[0];
+  const audioFile = files.audio && files.audio[0];
+
+  try {
+    let report;
+    let encoding = null;
+    if (lyricsFile) {
+      try {
+        encoding = normalizeLyricsUpload(lyricsFile, req.body.lyricsEncoding);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      const audio = audioFile ? readAudioMetadata(fs.readFileSync(audioFile.path)) : null;
+      report = lintLyrics(fs.readFileSync(lyricsFile.path, 'utf8'), audio);
+    } else if (req.body && typeof req.body.content === 'string') {
+      const duration = parseFloat(req.body.duration);
+      report = validateLyrics(req.body.content, {
+        duration: duration > 0 ? duration : undefined,
+        title: req.body.title,
+        artist: req.body.artist
       });
+    } else {
+      return res.status(400).json({ success: false, error: 'No lyrics file or content provided' });
     }
+
+    res.json(Object.assign({ success: true, encoding: encoding }, report));
+  } catch (error) {
+    console.error('Error validating lyrics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error validating lyrics: ' + error.message
+    });
+  } finally {
+    discardUploads(files);
   }
-  
-  console.error('Upload middleware error:', error);
-  res.status(400).json({
-    success: false,
-    error: error.message || 'Upload failed'
-  });
 });
 
-// Parse lyrics file (supports multiple formats)
-function parseLyrics(content) {
-  const lines = content.split('\n');
-  const lyrics = [];
-  
-  console.log('Parsing lyrics, total lines:', lines.length);
+// Add public URLs to a stored song record
+function toSongResponse(song) {
+  return Object.assign({}, song, {
+    audioUrl: `/uploads/${song.audioFile}`,
+    lyricsUrl: `/uploads/${song.lyricsFile}`,
+    artworkUrl: song.artworkFile ? `/uploads/${song.artworkFile}` : null
+  });
+}
 
-  // Try LRC format first
-  const lrcRegex = /\[(\d+):(\d+)\.(\d+)\]\s*(.*)/;
-  let hasLrcFormat = false;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].trim();
-    if (!line) continue;
-    
-    const match = line.match(lrcRegex);
-    if (match) {
-      hasLrcFormat = true;
-      const minutes = parseInt(match[1]);
-      const seconds = parseInt(match[2]);
-      const milliseconds = parseInt(match[3]);
-      const text = match[4].trim();
-      
-      const timestamp = minutes * 60 + seconds + milliseconds / 100;
-      
-      if (text) {
-        lyrics.push({
-          timestamp: timestamp,
-          text: text,
-          lineNumber: i + 1
-        });
-      }
+// Read and parse the lyrics file a song points at
+async function readSongLyrics(song) {
+  return parseLyrics(await readSongLyricsText(song));
+}
+
+function readSongLyricsText(song) {
+  return readLyricsFile(song.lyricsFile);
+}
+
+async function readLyricsFile(filename) {
+  return (await blobStore.readFile(filename)).toString('utf8');
+}
+
+// Extra tracks of a song, each aligned line by line to the primary lyrics
+function readSongTracks(song, primaryLines, tolerance) {
+  return Promise.all(songStore.listTracks(song).map(async track => {
+    const response = {
+      id: track.id,
+      language: track.language,
+      role: track.role,
+      lyricsUrl: `/uploads/${track.lyricsFile}`,
+      lines: primaryLines.map(() => null),
+      unmatched: 0
+    };
+
+    try {
+      const parsed = parseLyrics(await readLyricsFile(track.lyricsFile));
+      Object.assign(response, alignTrack(primaryLines, parsed.lines, tolerance));
+    } catch (error) {
+      console.error('Error reading lyric track:', track.id, error);
+      response.error = 'Error reading track file: ' + error.message;
     }
+
+    return response;
+  }));
+}
+
+// Song library API
+app.get('/songs', (req, res) => {
+  const songs = songStore.listSongs().map(toSongResponse);
+  res.json({ success: true, totalSongs: songs.length, songs: songs });
+});
+
+app.post('/songs', songUpload, handleUpload);
+
+app.get('/songs/:id', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
   }
-  
-  // If not LRC format, assume plain text with timestamps
-  if (!hasLrcFormat) {
-    console.log('No LRC format detected, trying plain text format');
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line) continue;
-      
-      // Try to extract timestamp and text
-      const parts = line.split(/\s+/);
-      if (parts.length >= 2) {
-        const timestamp = parseFloat(parts[0]);
-        if (!isNaN(timestamp) && timestamp >= 0) {
-          const text = parts.slice(1).join(' ');
-          lyrics.push({
-            timestamp: timestamp,
-            text: text,
-            lineNumber: i + 1
-          });
-        }
-      } else {
-        // If no timestamp, assume it's a continuation or error
-        console.log('Skipping line (no valid timestamp):', line);
-      }
+
+  // ?revision= serves an earlier lyrics revision instead, for previewing
+  const revision = req.query.revision ? findLyricsRevision(song, req.query.revision) : null;
+  if (req.query.revision && !revision) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+
+  try {
+    const parsed = revision ? parseLyrics(await readLyricsFile(revision.lyricsFile)) : await readSongLyrics(song);
+    res.json({
+      success: true,
+      song: toSongResponse(song),
+      lyrics: parsed.lines,
+      metadata: parsed.metadata,
+      revision: revision ? toRevisionResponse(revision) : null,
+      // ?tolerance= sets how far (seconds) a track line may sit from its line
+      tracks: await readSongTracks(song, parsed.lines, parseFloat(req.query.tolerance))
+    });
+  } catch (error) {
+    console.error('Error reading lyrics for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading lyrics file: ' + error.message
+    });
+  }
+});
+
+// Export a song's lyrics in another format: ?format=lrc|srt|vtt|json
+app.get('/songs/:id/lyrics', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const format = (req.query.format || 'lrc').toLowerCase();
+  if (!exportFormats[format]) {
+    return res.status(400).json({
+      success: false,
+      error: `Unsupported export format: ${format}. Use ${Object.keys(exportFormats).join(', ')}.`
+    });
+  }
+
+  try {
+    const parsed = await readSongLyrics(song);
+    const filename = (song.title || 'lyrics').replace(/[^a-zA-Z0-9.\-]/g, '_');
+    res.set('Content-Type', exportFormats[format].contentType);
+    res.attachment(`${filename}.${exportFormats[format].extension}`);
+    res.send(serializeLyrics(parsed, format));
+  } catch (error) {
+    console.error('Error exporting lyrics for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error exporting lyrics: ' + error.message
+    });
+  }
+});
+
+// Save re-timed lyrics for a song as a new LRC file. offset (milliseconds)
+// is written as the [offset:] tag in the same save, so lines and offset
+// nudged together make one revision.
+// Body: { lines: [{ timestamp, text, words?, endTime? }], offset? }
+app.put('/songs/:id/lyrics', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const lines = req.body && req.body.lines;
+  if (!Array.isArray(lines) || lines.length === 0) {
+    return res.status(400).json({ success: false, error: 'No lyric lines provided' });
+  }
+
+  const invalid = lines.findIndex(line =>
+    !line || typeof line.text !== 'string' ||
+    typeof line.timestamp !== 'number' || !isFinite(line.timestamp) || line.timestamp < 0
+  );
+  if (invalid !== -1) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid lyric line at index ${invalid}: needs a text and a non-negative timestamp`
+    });
+  }
+
+  const offset = req.body.offset;
+  if (offset !== undefined && (typeof offset !== 'number' || !isFinite(offset))) {
+    return res.status(400).json({ success: false, error: 'Offset must be a number of milliseconds' });
+  }
+
+  try {
+    // Keep the existing header tags, with the catalog title and artist on top
+    let metadata = {};
+    try {
+      metadata = (await readSongLyrics(song)).metadata;
+    } catch (error) {
+      console.log('Previous lyrics unreadable, saving without their metadata:', error.message);
     }
+    metadata = Object.assign({}, metadata, { title: song.title, artist: song.artist });
+    // Lines saved from the editor are no longer an automatic draft
+    if (/auto-align/.test(metadata.creator || '')) {
+      delete metadata.creator;
+    }
+
+    const sortedLines = lines.slice().sort((a, b) => a.timestamp - b.timestamp);
+    let content = serializeLyrics({ metadata: metadata, lines: sortedLines }, 'lrc');
+    if (offset !== undefined) {
+      content = setLrcOffset(content, Math.round(offset));
+    }
+    const filename = await storeGeneratedFile(content, (song.title || 'lyrics') + '.lrc');
+
+    const updated = songStore.setLyricsFile(song.id, filename, (song.title || 'lyrics') + '.lrc',
+      revisionFrom(req.body, offset !== undefined ? `Line timings nudged, offset set to ${Math.round(offset)} ms` : 'Saved in the editor'));
+    const parsed = await readSongLyrics(updated);
+
+    res.json({
+      success: true,
+      song: toSongResponse(updated),
+      lyrics: parsed.lines,
+      metadata: parsed.metadata
+    });
+  } catch (error) {
+    console.error('Error saving lyrics for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error saving lyrics: ' + error.message
+    });
+  }
+});
+
+// Persist a song's timing offset as the LRC [offset:] tag (milliseconds,
+// positive shows lyrics sooner). Body: { offset }
+app.put('/songs/:id/offset', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
   }
-  
-  // Sort by timestamp
-  lyrics.sort((a, b) => a.timestamp - b.timestamp);
-  
-  console.log('Final parsed lyrics:', lyrics.length, 'valid lines');
-  return lyrics;
-}
 
-// Function to initialize file hash storage from existing files
-function initializeFileHashes() {
-  const uploadsDir = path.join(__dirname, 'uploads');
-  if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-    console.log('Created uploads directory at startup');
-    return;
+  const offset = req.body && req.body.offset;
+  if (typeof offset !== 'number' || !isFinite(offset)) {
+    return res.status(400).json({ success: false, error: 'Offset must be a number of milliseconds' });
   }
 
   try {
-    const files = fs.readdirSync(uploadsDir);
-    let registeredCount = 0;
-    
-    for (const file of files) {
-      const filePath = path.join(uploadsDir, file);
-      const stats = fs.statSync(filePath);
-      
-      if (stats.isFile()) {
-        const hash = calculateFileHash(filePath);
-        if (hash && !fileHashes.has(hash)) {
-          const fileInfo = {
-            filename: file,
-            originalName: file, // We don't have original name for existing files
-            uploadDate: stats.mtime.toISOString(),
-            hash: hash
-          };
-          fileHashes.set(hash, fileInfo);
-          registeredCount++;
-        }
-      }
+    let content = await readSongLyricsText(song);
+    const parsed = parseLyrics(content);
+
+    // Only LRC has an [offset:] tag; other formats are converted first
+    if (parsed.format !== 'lrc') {
+      content = serializeLyrics(parsed, 'lrc');
     }
-    
-    console.log(`Initialized file hash storage with ${registeredCount} existing files`);
+    content = setLrcOffset(content, Math.round(offset));
+
+    const originalName = (song.title || 'lyrics') + '.lrc';
+    const filename = await storeGeneratedFile(content, originalName);
+    const updated = songStore.setLyricsFile(song.id, filename, originalName,
+      revisionFrom(req.body, `Offset set to ${Math.round(offset)} ms`));
+    const saved = await readSongLyrics(updated);
+
+    res.json({
+      success: true,
+      song: toSongResponse(updated),
+      lyrics: saved.lines,
+      metadata: saved.metadata
+    });
+  } catch (error) {
+    console.error('Error saving offset for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error saving offset: ' + error.message
+    });
+  }
+});
+
+const lyricsUpload = upload.fields([
+  { name: 'lyrics', maxCount: 1 }
+]);
+
+const audioUpload = upload.fields([
+  { name: 'audio', maxCount: 1 }
+]);
+
+// The song's current lyrics as { offset, lines } with the lines before the
+// offset is applied, to compare a replacement with
+async function readPreviousLyrics(song) {
+  try {
+    const content = await readSongLyricsText(song);
+    return {
+      offset: parseLyrics(content).metadata.offset || 0,
+      lines: parseLyrics(setLrcOffset(content, 0)).lines
+    };
   } catch (error) {
-    console.error('Error initializing file hashes:', error);
+    console.log('Previous lyrics unreadable, not keeping their offset:', error.message);
+    return { offset: 0, lines: [] };
   }
 }
 
-// Create uploads directory and initialize file hashes
-const uploadsDir = path.join(__dirname, 'uploads');
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-  console.log('Created uploads directory at startup');
+// A replacement lyrics file without an [offset:] of its own keeps the song's
+// saved offset only when it has the very lines the song had, e.g. the same
+// lyrics converted to another format; a file timed on its own would be
+// shifted by it. A kept offset needs LRC to hold the tag.
+// Resolves with { filename, originalName, offset: { value, source, previous } }
+// where source is 'file' (its own tag), 'kept' or 'none'.
+async function keepLyricsOffset(filename, originalName, previous) {
+  const content = await readLyricsFile(filename);
+  const parsed = parseLyrics(content);
+  const result = offset => ({ filename: filename, originalName: originalName, offset: Object.assign(offset, { previous: previous.offset }) });
+
+  if (parsed.metadata.offset !== undefined) {
+    return result({ value: parsed.metadata.offset, source: 'file' });
+  }
+  const summary = diffLyrics(previous.lines, parsed.lines).summary;
+  const sameLines = parsed.lines.length > 0 && Object.values(summary).every(count => count === 0);
+  if (!previous.offset || !sameLines) {
+    return result({ value: 0, source: 'none' });
+  }
+
+  const lrc = parsed.format === 'lrc' ? content : serializeLyrics(parsed, 'lrc');
+  const lrcName = originalName.replace(/\.[^/.]+$/, '') + '.lrc';
+  return {
+    filename: await storeGeneratedFile(setLrcOffset(lrc, previous.offset), lrcName),
+    originalName: lrcName,
+    offset: { value: previous.offset, source: 'kept', previous: previous.offset }
+  };
 }
 
-// Initialize file hash storage
-initializeFileHashes();
+// Replace just the lyrics of a song, keeping its id, queue entries and
+// tracks; the old lyrics stay restorable from /versions. The response's
+// offset says whether the saved offset still applies (see keepLyricsOffset).
+// Multipart: one file in the lyrics field, optionally a lyricsEncoding
+app.post('/songs/:id/lyrics', lyricsUpload, async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    discardUploads(req.files);
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
 
-app.listen(PORT, () => {
-  console.log(`🎵 Lyrics Sync App running at http://localhost:${PORT}`);
-  console.log(`📁 Upload directory: ${uploadsDir}`);
-  console.log('✅ Server is ready for file uploads');
-});
+  const lyricsFile = req.files && req.files.lyrics && req.files.lyrics[0];
+  if (!lyricsFile) {
+    return res.status(400).json({ success: false, error: 'No lyrics file was uploaded' });
+  }
+  if (await rejectOverQuota(req, res)) return;
 
+  let encoding;
+  try {
+    encoding = normalizeLyricsUpload(lyricsFile, req.body.lyricsEncoding);
+  } catch (error) {
+    discardUploads(req.files);
+    return res.status(400).json({ success: false, error: error.message });
+  }
 
-app.get('/player', (req, res) => {
-  res.sendFile(path.join(__dirname, 'public', 'player.html'));
-});
+  try {
+    const previous = await readPreviousLyrics(song);
+    const uploaded = parseLyrics(fs.readFileSync(lyricsFile.path, 'utf8'));
+    let stored = { filename: (await storeUploadedFile(lyricsFile)).filename, originalName: lyricsFile.originalname };
+    // The upload itself, once a draft or LRC conversion takes its place
+    const replacedFiles = [stored.filename];
 
-// Endpoint to view file hash information (for debugging)
-app.get('/files', (req, res) => {
-  const files = Array.from(fileHashes.values());
-  res.json({
-    totalFiles: files.length,
-    files: files.map(file => ({
-      filename: file.filename,
-      originalName: file.originalName,
-      uploadDate: file.uploadDate,
-      hash: file.hash.substring(0, 16) + '...' // Show only first 16 chars for security
-    }))
-  });
+    // Untimed lyrics get a draft sync from the song's audio, as on upload
+    let alignment = null;
+    if (uploaded.lines.length === 0) {
+      const aligned = await alignUntimedLyrics(song.audioFile, stored.filename, stored.originalName,
+        Object.assign({}, uploaded.metadata, { title: song.title, artist: song.artist }));
+
+      if (aligned && aligned.error) {
+        alignment = { draft: false, error: aligned.error };
+      } else if (aligned) {
+        stored = { filename: aligned.lyricsFile, originalName: aligned.originalName };
+        replacedFiles.push(stored.filename);
+        alignment = { draft: true, segments: aligned.segments };
+      }
+    }
+
+    stored = await keepLyricsOffset(stored.filename, stored.originalName, previous);
+    const updated = songStore.setLyricsFile(song.id, stored.filename, stored.originalName,
+      revisionFrom(req.body, alignment && alignment.draft ? 'Replaced lyrics file; timings drafted from the audio' : 'Replaced lyrics file'));
+    await blobStore.removeUnreferenced(replacedFiles.filter(filename => filename !== stored.filename));
+    const parsed = await readSongLyrics(updated);
+    const audio = readAudioMetadata(await blobStore.readFile(updated.audioFile));
+
+    res.json({
+      success: true,
+      song: toSongResponse(updated),
+      lyrics: parsed.lines,
+      metadata: parsed.metadata,
+      tracks: await readSongTracks(updated, parsed.lines),
+      alignment: alignment,
+      warnings: lintLyrics(await readSongLyricsText(updated), audio).warnings,
+      offset: stored.offset,
+      encoding: encoding
+    });
+  } catch (error) {
+    console.error('Error replacing lyrics for song:', song.id, error);
+    discardUploads(req.files);
+    res.status(500).json({
+      success: false,
+      error: 'Error replacing lyrics: ' + error.message
+    });
+  }
+});
+
+// Replace just the audio of a song, e.g. with a new master. Title, artist
+// and lyrics stay; duration and cover art come from the new file's tags,
+// keeping the old cover if it has none. Multipart: one file in the audio field
+app.post('/songs/:id/audio', audioUpload, async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    discardUploads(req.files);
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const audioFile = req.files && req.files.audio && req.files.audio[0];
+  if (!audioFile) {
+    return res.status(400).json({ success: false, error: 'No audio file was uploaded' });
+  }
+  if (await rejectOverQuota(req, res)) return;
+
+  try {
+    const audio = readAudioMetadata(fs.readFileSync(audioFile.path));
+    const updated = songStore.setAudioFile(song.id, {
+      audioFile: (await storeUploadedFile(audioFile)).filename,
+      audioOriginalName: audioFile.originalname,
+      duration: audio.duration,
+      artworkFile: (await storeArtwork(audio.artwork, song.title)) || song.artworkFile
+    });
+
+    // The lyrics may no longer fit, e.g. a shorter edit of the track
+    let warnings = [];
+    try {
+      warnings = lintLyrics(await readSongLyricsText(updated), audio).warnings;
+    } catch (error) {
+      console.error('Error validating lyrics:', error);
+    }
+
+    res.json({ success: true, song: toSongResponse(updated), warnings: warnings });
+  } catch (error) {
+    console.error('Error replacing audio for song:', song.id, error);
+    discardUploads(req.files);
+    res.status(500).json({
+      success: false,
+      error: 'Error replacing audio: ' + error.message
+    });
+  }
+});
+
+// Audio and lyrics a song used before they were replaced, oldest first
+app.get('/songs/:id/versions', (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const versions = songStore.listVersions(song).map(version => Object.assign({}, version, {
+    url: `/uploads/${version.kind === 'audio' ? version.audioFile : version.lyricsFile}`
+  }));
+  res.json({ success: true, versions: versions });
+});
+
+// Drop a kept version, deleting its files unless something else uses them
+app.delete('/songs/:id/versions/:versionId', async (req, res) => {
+  if (!songStore.getSong(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const version = songStore.removeVersion(req.params.id, req.params.versionId);
+  if (!version) {
+    return res.status(404).json({ success: false, error: 'Version not found' });
+  }
+
+  try {
+    const removedFiles = await blobStore.removeUnreferenced([version.audioFile, version.lyricsFile, version.artworkFile].filter(Boolean));
+    res.json({ success: true, version: version, removedFiles: removedFiles });
+  } catch (error) {
+    console.error('Error removing version files:', version.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Version removed, but its files could not be deleted: ' + error.message
+    });
+  }
+});
+
+// Roll the song's audio or lyrics back to a kept version
+app.post('/songs/:id/versions/:versionId/restore', (req, res) => {
+  if (!songStore.getSong(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const song = songStore.restoreVersion(req.params.id, req.params.versionId);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Version not found' });
+  }
+  res.json({ success: true, song: toSongResponse(song), versions: songStore.listVersions(song) });
+});
+
+function findLyricsRevision(song, revisionId) {
+  return songStore.listLyricsRevisions(song).find(revision => revision.id === revisionId) || null;
+}
+
+function toRevisionResponse(revision) {
+  return Object.assign({}, revision, { lyricsUrl: `/uploads/${revision.lyricsFile}` });
+}
+
+// Lyrics revision history, newest first
+app.get('/songs/:id/revisions', (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const revisions = songStore.listLyricsRevisions(song).reverse().map(toRevisionResponse);
+  res.json({ success: true, revisions: revisions });
+});
+
+// Line-level diff between two revisions: ?from=&to=, where to defaults to
+// the current lyrics and from to the revision before to
+app.get('/songs/:id/revisions/diff', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const revisions = songStore.listLyricsRevisions(song);
+  const toIndex = req.query.to ? revisions.findIndex(revision => revision.id === req.query.to) : revisions.length - 1;
+  const fromIndex = req.query.from ? revisions.findIndex(revision => revision.id === req.query.from) : toIndex - 1;
+  if (toIndex === -1 || (req.query.from && fromIndex === -1)) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+  if (fromIndex < 0) {
+    return res.status(400).json({ success: false, error: 'No earlier revision to compare with' });
+  }
+
+  try {
+    const from = revisions[fromIndex];
+    const to = revisions[toIndex];
+    const diff = diffLyrics(
+      parseLyrics(await readLyricsFile(from.lyricsFile)).lines,
+      parseLyrics(await readLyricsFile(to.lyricsFile)).lines
+    );
+
+    res.json(Object.assign({
+      success: true,
+      from: toRevisionResponse(from),
+      to: toRevisionResponse(to)
+    }, diff));
+  } catch (error) {
+    console.error('Error comparing revisions for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error comparing revisions: ' + error.message
+    });
+  }
+});
+
+// One revision's lyrics, parsed
+app.get('/songs/:id/revisions/:revisionId', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const revision = findLyricsRevision(song, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+
+  try {
+    const parsed = parseLyrics(await readLyricsFile(revision.lyricsFile));
+    res.json({ success: true, revision: toRevisionResponse(revision), lyrics: parsed.lines, metadata: parsed.metadata });
+  } catch (error) {
+    console.error('Error reading revision:', revision.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading revision: ' + error.message
+    });
+  }
+});
+
+// Make an earlier revision current again. This saves it as a new revision,
+// so the history stays linear and the revert can itself be reverted.
+// Body: { author?, comment? }
+app.post('/songs/:id/revisions/:revisionId/revert', async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const revision = findLyricsRevision(song, req.params.revisionId);
+  if (!revision) {
+    return res.status(404).json({ success: false, error: 'Revision not found' });
+  }
+  if (revision.current) {
+    return res.status(400).json({ success: false, error: 'That revision is already the current lyrics' });
+  }
+  // An older revision can share the current file, e.g. after a revert; there
+  // would be nothing to record
+  if (revision.lyricsFile === song.lyricsFile) {
+    return res.status(409).json({ success: false, error: "That revision's lyrics are already current" });
+  }
+
+  try {
+    const updated = songStore.setLyricsFile(song.id, revision.lyricsFile, revision.lyricsOriginalName,
+      revisionFrom(req.body, `Reverted to revision ${revision.id}`));
+    const parsed = await readSongLyrics(updated);
+
+    res.json({
+      success: true,
+      song: toSongResponse(updated),
+      lyrics: parsed.lines,
+      metadata: parsed.metadata,
+      revision: toRevisionResponse(songStore.listLyricsRevisions(updated).pop())
+    });
+  } catch (error) {
+    console.error('Error reverting lyrics for song:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reverting lyrics: ' + error.message
+    });
+  }
+});
+
+// Add translation or romanization tracks to a song. Multipart: files in the
+// tracks field, with one trackLanguage and trackRole value per file
+app.post('/songs/:id/tracks', trackUpload, async (req, res) => {
+  const song = songStore.getSong(req.params.id);
+  if (!song) {
+    discardUploads(req.files);
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const files = (req.files && req.files.tracks) || [];
+  if (files.length === 0) {
+    return res.status(400).json({ success: false, error: 'No track files were uploaded' });
+  }
+
+  const trackUploads = readTrackUploads(files, req.body);
+  if (trackUploads.error) {
+    discardUploads(files);
+    return res.status(400).json({ success: false, error: trackUploads.error });
+  }
+  if (await rejectOverQuota(req, res)) return;
+
+  try {
+    const added = [];
+    for (const track of trackUploads.tracks) {
+      added.push(songStore.addTrack(song.id, await storeTrackFile(track)));
+    }
+    const updated = songStore.getSong(song.id);
+
+    res.json({
+      success: true,
+      song: toSongResponse(updated),
+      added: added,
+      trackEncodings: trackUploads.tracks.map(track => track.encoding),
+      tracks: await readSongTracks(updated, (await readSongLyrics(updated)).lines)
+    });
+  } catch (error) {
+    console.error('Error adding tracks to song:', song.id, error);
+    discardUploads(files);
+    res.status(500).json({
+      success: false,
+      error: 'Error adding tracks: ' + error.message
+    });
+  }
+});
+
+app.delete('/songs/:id/tracks/:trackId', async (req, res) => {
+  if (!songStore.getSong(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const track = songStore.removeTrack(req.params.id, req.params.trackId);
+  if (!track) {
+    return res.status(404).json({ success: false, error: 'Track not found' });
+  }
+
+  // As with songs, the stored file stays if another song shares it
+  try {
+    const removedFiles = await blobStore.removeUnreferenced([track.lyricsFile]);
+    res.json({ success: true, track: track, removedFiles: removedFiles });
+  } catch (error) {
+    console.error('Error removing track file:', track.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Track removed, but its file could not be deleted: ' + error.message
+    });
+  }
+});
+
+app.patch('/songs/:id', (req, res) => {
+  const song = songStore.updateSong(req.params.id, req.body || {});
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+  res.json({ success: true, song: toSongResponse(song) });
+});
+
+app.delete('/songs/:id', async (req, res) => {
+  const song = songStore.deleteSong(req.params.id);
+  if (!song) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+  queueStore.removeSong(song.id);
+  sessionStore.removeSong(song.id);
+
+  // Deduplicated files may be shared with other songs; only the unshared go
+  try {
+    const removedFiles = await blobStore.removeUnreferenced(songStore.songFiles(song).map(file => file.filename));
+    res.json({ success: true, song: toSongResponse(song), removedFiles: removedFiles });
+  } catch (error) {
+    console.error('Error removing song files:', song.id, error);
+    res.status(500).json({
+      success: false,
+      error: 'Song deleted, but its files could not be removed: ' + error.message
+    });
+  }
+});
+
+// Add the catalog song to a queue entry; null if it was deleted since
+function toQueueEntryResponse(entry) {
+  if (!entry) return null;
+  const song = songStore.getSong(entry.songId);
+  return Object.assign({}, entry, { song: song ? toSongResponse(song) : null });
+}
+
+function sendQueue(res) {
+  const queue = queueStore.getQueue();
+  res.json({
+    success: true,
+    current: toQueueEntryResponse(queue.current),
+    entries: queue.entries.map(toQueueEntryResponse)
+  });
+}
+
+// Karaoke queue API
+app.get('/queue', (req, res) => {
+  sendQueue(res);
+});
+
+// Body: { songId, singer }
+app.post('/queue', (req, res) => {
+  const songId = req.body && req.body.songId;
+  if (!songId) {
+    return res.status(400).json({ success: false, error: 'No song selected' });
+  }
+  if (!songStore.getSong(songId)) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const entry = queueStore.addEntry({ songId: songId, singer: req.body.singer });
+  console.log(`Queued song ${songId} for ${entry.singer || 'an unnamed singer'}`);
+  sendQueue(res);
+});
+
+// Body: { singer?, position? } with position counted from 0 at the front
+app.patch('/queue/:entryId', (req, res) => {
+  const entry = queueStore.updateEntry(req.params.entryId, req.body || {});
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Queue entry not found' });
+  }
+  sendQueue(res);
+});
+
+app.delete('/queue/:entryId', (req, res) => {
+  const entry = queueStore.removeEntry(req.params.entryId);
+  if (!entry) {
+    return res.status(404).json({ success: false, error: 'Queue entry not found' });
+  }
+  sendQueue(res);
+});
+
+// Start the next entry; current is null once the queue has run out
+app.post('/queue/next', (req, res) => {
+  const entry = queueStore.advance();
+  if (!entry) {
+    return res.status(409).json({ success: false, error: 'Nobody is waiting in the queue' });
+  }
+
+  console.log(`Queue advanced to song ${entry.songId}`);
+  sendQueue(res);
+});
+
+// Server clock for playback sessions; followers time a few round trips to
+// this to estimate their offset from it
+app.get('/clock', (req, res) => {
+  res.json({ success: true, serverTime: Date.now() });
+});
+
+function toSessionResponse(session) {
+  return {
+    code: session.code,
+    state: session.state,
+    followers: session.listeners.size,
+    createdDate: session.createdDate
+  };
+}
+
+// Check the controlKey a controller sends with every change (in the body,
+// or the query string for event streams)
+function findControlledSession(req, res) {
+  const session = sessionStore.getSession(req.params.code);
+  if (!session) {
+    res.status(404).json({ success: false, error: 'Session not found' });
+    return null;
+  }
+  const controlKey = (req.body && req.body.controlKey) || req.query.controlKey;
+  if (controlKey !== session.controlKey) {
+    res.status(403).json({ success: false, error: 'Only the controlling player can change this session' });
+    return null;
+  }
+  return session;
+}
+
+// Playback session API. The creator gets the controlKey; displays only need the code
+app.post('/sessions', (req, res) => {
+  const session = sessionStore.createSession();
+  res.json(Object.assign({ success: true, controlKey: session.controlKey, serverTime: Date.now() },
+    toSessionResponse(session)));
+});
+
+app.get('/sessions/:code', (req, res) => {
+  const session = sessionStore.getSession(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+  res.json(Object.assign({ success: true, serverTime: Date.now() }, toSessionResponse(session)));
+});
+
+// Body: { controlKey, songId?, playing?, position?, at? } where position is
+// in seconds and at is the server time (ms) it was sampled at
+app.post('/sessions/:code/state', (req, res) => {
+  const session = findControlledSession(req, res);
+  if (!session) return;
+
+  if (req.body.songId && !songStore.getSong(req.body.songId)) {
+    return res.status(404).json({ success: false, error: 'Song not found' });
+  }
+
+  const state = sessionStore.publish(session.code, req.body);
+  res.json({ success: true, state: state, serverTime: Date.now() });
+});
+
+// Turn a response into a server-sent event stream. Returns send(event, data);
+// onClose runs when the client goes away.
+function openEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  // Comments keep proxies from closing a stream that is quiet while paused
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    onClose();
+  });
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// Server-sent events: the current state on connect, then every change
+app.get('/sessions/:code/events', (req, res) => {
+  const session = sessionStore.getSession(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  let unsubscribe = null;
+  const send = openEventStream(req, res, () => unsubscribe());
+  const sendState = state => send('state', { state: state, serverTime: Date.now() });
+
+  sendState(session.state);
+  unsubscribe = sessionStore.subscribe(session.code, sendState);
+});
+
+// The controller's stream of remote commands: ?controlKey=
+app.get('/sessions/:code/commands', (req, res) => {
+  const session = findControlledSession(req, res);
+  if (!session) return;
+
+  let unsubscribe = null;
+  const send = openEventStream(req, res, () => unsubscribe());
+  unsubscribe = sessionStore.subscribeCommands(session.code, command => send('command', command));
+});
+
+// A command from a paired remote. Body: { type, value? } where offset takes
+// a nudge in ms and volume a level from 0 to 1
+app.post('/sessions/:code/commands', (req, res) => {
+  const session = sessionStore.getSession(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  const type = req.body && req.body.type;
+  if (!sessionStore.commands.includes(type)) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown command: ${type}. Use ${sessionStore.commands.join(', ')}.`
+    });
+  }
+
+  const value = req.body.value;
+  if ((type === 'offset' || type === 'volume') && (typeof value !== 'number' || !isFinite(value))) {
+    return res.status(400).json({ success: false, error: `The ${type} command needs a number value` });
+  }
+
+  const command = { type: type };
+  if (type === 'offset' || type === 'volume') {
+    command.value = value;
+  }
+
+  if (!sessionStore.sendCommand(session.code, command)) {
+    return res.status(409).json({ success: false, error: 'No player is connected to this session' });
+  }
+  res.json({ success: true, command: command });
+});
+
+// Address phones should use: a page opened on the host machine itself says
+// localhost, which means nothing to a phone, so swap in the LAN address
+function publicOrigin(req) {
+  const host = req.get('host') || `localhost:${PORT}`;
+  const [hostname, port] = host.split(':');
+  if (hostname !== 'localhost' && hostname !== '127.0.0.1') {
+    return `${req.protocol}://${host}`;
+  }
+
+  const addresses = [].concat(...Object.values(os.networkInterfaces()));
+  const lan = addresses.find(address => address.family === 'IPv4' && !address.internal);
+  return `${req.protocol}://${lan ? lan.address : hostname}${port ? ':' + port : ''}`;
+}
+
+// QR code that opens the remote for a session, shown on the player for pairing
+app.get('/sessions/:code/qr.svg', async (req, res) => {
+  const session = sessionStore.getSession(req.params.code);
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const svg = await QRCode.toString(`${publicOrigin(req)}/remote/${session.code}`, { type: 'svg', margin: 1 });
+    res.set('Content-Type', 'image/svg+xml');
+    res.send(svg);
+  } catch (error) {
+    console.error('Error drawing pairing QR code:', error);
+    res.status(500).json({ success: false, error: 'Error drawing QR code: ' + error.message });
+  }
+});
+
+app.delete('/sessions/:code', (req, res) => {
+  const session = findControlledSession(req, res);
+  if (!session) return;
+
+  sessionStore.publish(session.code, { songId: null, playing: false, position: 0 });
+  sessionStore.removeSession(session.code);
+  res.json({ success: true, session: toSessionResponse(session) });
+});
+
+// Error handling middleware for multer
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(400).json({
+        success: false,
+        error: 'File too large. Maximum size is 50MB.'
+      });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT') {
+      return res.status(400).json({
+        success: false,
+        error: `Too many files. Please upload one audio file, one lyrics file and at most ${maxTracks} extra tracks.`
+      });
+    }
+  }
+  
+  console.error('Upload middleware error:', error);
+  res.status(400).json({
+    success: false,
+    error: error.message || 'Upload failed'
+  });
+});
+
+// Fetch data/ back from storage first when a redeploy wiped it, then load
+// the song catalog before hashing so original names can be restored
+documentStore.restoreDocuments().then(() => {
+  songStore.loadSongs();
+  queueStore.loadQueue();
+  blobStore.loadSettings();
+
+  // Initialize file hash storage before taking uploads, so duplicates are caught
+  return blobStore.initializeFileHashes();
+}).then(() => {
+  app.listen(PORT, () => {
+    console.log(`🎵 Lyrics Sync App running at http://localhost:${PORT}`);
+    console.log(`📁 Upload storage: ${blobStore.storage.description}`);
+    console.log('✅ Server is ready for file uploads');
+  });
+}, error => {
+  console.error('Could not restore data/ from storage, not starting:', error.message);
+  process.exit(1);
+});
+
+// Let copies of data/ still on their way to storage finish before exiting
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, () => {
+    documentStore.flushDocuments().then(() => process.exit(0));
+  });
+}
+
+
+app.get('/player', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'player.html'));
+});
+
+// Bookmarkable player links; the page fetches the song from /songs/:id
+app.get('/player/:songId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'player.html'));
+});
+
+// Karaoke night queue manager
+app.get('/karaoke-queue', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'queue.html'));
+});
+
+// Display screen following a playback session, e.g. a projector
+app.get('/display/:code', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'player.html'));
+});
+
+// Phone remote for a session; without a code it asks for one
+app.get(['/remote', '/remote/:code'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'remote.html'));
+});
+
+// Tap-to-sync lyrics editor for a song
+app.get('/editor/:songId', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'editor.html'));
+});
+
+// Storage report: every stored file with its size and the songs using it,
+// plus totals and the quota
+app.get('/storage', async (req, res) => {
+  try {
+    const usage = await blobStore.getUsage();
+    res.json(Object.assign({ success: true, backend: blobStore.storage.description }, usage, {
+      files: usage.files.map(file => ({
+        filename: file.filename,
+        originalName: file.originalName,
+        uploadDate: file.uploadDate,
+        size: file.size,
+        hash: file.hash ? file.hash.substring(0, 16) + '...' : null, // Show only first 16 chars for security
+        references: file.references
+      }))
+    }));
+  } catch (error) {
+    console.error('Storage report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error reading storage: ' + error.message
+    });
+  }
+});
+
+// Set the library's storage quota. Body: { bytes }, null or 0 for none
+app.put('/storage/quota', (req, res) => {
+  const bytes = req.body && req.body.bytes;
+  if (bytes !== null && bytes !== undefined && (typeof bytes !== 'number' || !isFinite(bytes) || bytes < 0)) {
+    return res.status(400).json({ success: false, error: 'Quota must be a number of bytes, or null for none' });
+  }
+
+  const quotaBytes = blobStore.setQuota(bytes);
+  res.json({ success: true, quotaBytes: quotaBytes });
+});
+
+// Remove stored files that no song references. Body: { dryRun?, minAge?,
+// force? } with minAge in seconds (default an hour) so uploads in progress
+// survive; force is needed to sweep while the catalog has no songs
+app.post('/storage/gc', async (req, res) => {
+  const body = req.body || {};
+  const minAge = parseFloat(body.minAge);
+
+  try {
+    const result = await blobStore.collectGarbage({
+      dryRun: !!body.dryRun,
+      minAge: isNaN(minAge) ? undefined : minAge,
+      force: body.force === true
+    });
+    if (result.error) {
+      return res.status(409).json({ success: false, error: result.error });
+    }
+    res.json(Object.assign({ success: true, dryRun: !!body.dryRun }, result));
+  } catch (error) {
+    console.error('Storage sweep error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Error sweeping storage: ' + error.message
+    });
+  }
+});
+
+// Delete one stored file; refused while any song still uses it
+app.delete('/storage/files/:filename', async (req, res) => {
+  try {
+    const result = await blobStore.removeFile(req.params.filename);
+    if (result.references) {
+      return res.status(409).json({ success: false, error: result.error, references: result.references });
+    }
+    if (result.error) {
+      return res.status(404).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, removed: result.removed });
+  } catch (error) {
+    console.error('Error deleting stored file:', req.params.filename, error);
+    res.status(500).json({
+      success: false,
+      error: 'Error deleting file: ' + error.message
+    });
+  }
 });
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { readAudioMetadata } = require('../lib/audioMetadata');
+
+function flacBlock(type, body, last = false) {
+  const header = Buffer.alloc(4);
+  header[0] = (last ? 0x80 : 0) | type;
+  header.writeUIntBE(body.length, 1, 3);
+  return Buffer.concat([header, body]);
+}
+
+function vorbisComments(comments) {
+  const parts = [Buffer.from([1, 0, 0, 0]), Buffer.from('x')];
+  const count = Buffer.alloc(4);
+  count.writeUInt32LE(comments.length);
+  parts.push(count);
+  for (const comment of comments) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(Buffer.byteLength(comment));
+    parts.push(length, Buffer.from(comment));
+  }
+  return Buffer.concat(parts);
+}
+
+// 44.1 kHz, 441000 samples: ten seconds
+function streamInfo() {
+  const block = Buffer.alloc(34);
+  block[10] = 0x0a;
+  block[11] = 0xc4;
+  block[12] = 0x40;
+  block.writeUInt32BE(441000, 14);
+  return block;
+}
+
+test('reads FLAC duration and Vorbis comments', () => {
+  const buffer = Buffer.concat([
+    Buffer.from('fLaC'),
+    flacBlock(0, streamInfo()),
+    flacBlock(4, vorbisComments(['TITLE=Survivor', 'ARTIST=Someone']), true)
+  ]);
+
+  const tags = readAudioMetadata(buffer);
+  assert.strictEqual(tags.format, 'flac');
+  assert.strictEqual(tags.title, 'Survivor');
+  assert.strictEqual(tags.artist, 'Someone');
+  assert.strictEqual(tags.duration, 10);
+});
+
+test('a damaged block keeps the tags before and after it', () => {
+  const buffer = Buffer.concat([
+    Buffer.from('fLaC'),
+    flacBlock(0, streamInfo()),
+    flacBlock(6, Buffer.from([0, 0, 0, 3])), // picture block cut short
+    flacBlock(4, vorbisComments(['TITLE=Survivor']), true)
+  ]);
+
+  const tags = readAudioMetadata(buffer);
+  assert.strictEqual(tags.title, 'Survivor');
+  assert.strictEqual(tags.duration, 10);
+  assert.strictEqual(tags.artwork, null);
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// blobStore and the stores under it read their folders from the environment
+// when first required, so point them at scratch folders before that
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'blob-store-'));
+const uploadsDir = path.join(root, 'uploads');
+const stagingDir = path.join(root, 'staging');
+fs.mkdirSync(uploadsDir);
+fs.mkdirSync(stagingDir);
+process.env.STORAGE_DRIVER = 'local';
+process.env.UPLOADS_DIR = uploadsDir;
+process.env.DATA_DIR = path.join(root, 'data');
+
+const blobStore = require('../lib/blobStore');
+const songStore = require('../lib/songStore');
+
+test.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+// Store content and backdate it by ageSeconds
+async function storeAged(filename, content, ageSeconds) {
+  await blobStore.storeFile(Buffer.from(content), filename, filename);
+  const time = new Date(Date.now() - ageSeconds * 1000);
+  fs.utimesSync(path.join(uploadsDir, filename), time, time);
+}
+
+async function storedNames() {
+  return (await blobStore.storage.list()).map(file => file.filename).sort();
+}
+
+// A multer-like file object staged outside storage
+function staged(filename, content) {
+  const filePath = path.join(stagingDir, filename);
+  fs.writeFileSync(filePath, content);
+  return { path: filePath, size: Buffer.byteLength(content) };
+}
+
+test('sweep refuses to empty storage while the catalog is empty, unless forced', async () => {
+  await storeAged('1-lost.mp3', 'lost audio', 2 * 60 * 60);
+
+  const refused = await blobStore.collectGarbage();
+  assert.match(refused.error, /catalog is empty but storage holds 1 file/);
+  assert.deepStrictEqual(await storedNames(), ['1-lost.mp3']);
+
+  const forced = await blobStore.collectGarbage({ force: true });
+  assert.deepStrictEqual(forced.removed, [{ filename: '1-lost.mp3', size: 10 }]);
+  assert.deepStrictEqual(await storedNames(), []);
+});
+
+test('sweep keeps referenced files and skips ones younger than minAge', async () => {
+  await storeAged('2-song.mp3', 'song audio', 2 * 60 * 60);
+  await storeAged('2-song.lrc', '[00:01.00]Hello', 2 * 60 * 60);
+  await storeAged('3-old.mp3', 'old audio', 2 * 60 * 60);
+  await storeAged('4-new.mp3', 'new audio', 60);
+  songStore.createSong({ title: 'Song', audioFile: '2-song.mp3', lyricsFile: '2-song.lrc' });
+
+  const dryRun = await blobStore.collectGarbage({ dryRun: true });
+  assert.deepStrictEqual(dryRun.removed.map(file => file.filename), ['3-old.mp3']);
+  assert.strictEqual(dryRun.skipped, 1);
+  assert.strictEqual((await storedNames()).length, 4);
+
+  const swept = await blobStore.collectGarbage();
+  assert.deepStrictEqual(swept, { removed: [{ filename: '3-old.mp3', size: 9 }], freedBytes: 9, skipped: 1 });
+  assert.deepStrictEqual(await storedNames(), ['2-song.lrc', '2-song.mp3', '4-new.mp3']);
+
+  const immediate = await blobStore.collectGarbage({ minAge: 0 });
+  assert.deepStrictEqual(immediate.removed.map(file => file.filename), ['4-new.mp3']);
+  assert.strictEqual(immediate.skipped, 0);
+  assert.deepStrictEqual(await storedNames(), ['2-song.lrc', '2-song.mp3']);
+});
+
+test('removeUnreferenced only deletes files no song uses', async () => {
+  await storeAged('5-replaced.lrc', '[00:02.00]Old', 0);
+
+  const removed = await blobStore.removeUnreferenced(['2-song.lrc', '5-replaced.lrc', '6-missing.lrc']);
+  assert.deepStrictEqual(removed, ['5-replaced.lrc']);
+  assert.deepStrictEqual(await storedNames(), ['2-song.lrc', '2-song.mp3']);
+});
+
+test('quota counts uploads identical to a stored file as free', async () => {
+  // 'song audio' and '[00:01.00]Hello' are stored: 25 bytes in use
+  blobStore.setQuota(30);
+  try {
+    assert.strictEqual(await blobStore.checkQuota([staged('again.mp3', 'song audio')]), null);
+    assert.strictEqual(await blobStore.checkQuota([staged('small.lrc', '12345')]), null);
+
+    const message = await blobStore.checkQuota([staged('again.mp3', 'song audio'), staged('big.mp3', 'more than five')]);
+    assert.match(message, /Storage quota exceeded: 25 B of 30 B in use, this upload needs 14 B more/);
+  } finally {
+    blobStore.setQuota(0);
+  }
+});
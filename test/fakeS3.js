@@ -0,0 +1,164 @@
+const http = require('http');
+const crypto = require('crypto');
+
+// In-process stand-in for an S3-compatible service, enough for the s3
+// storage driver: path-style requests against one bucket, objects in
+// memory, Signature Version 4 checked on every request and ListObjectsV2
+// pages of pageSize keys. Not a test file itself; the tests start one.
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encodeRfc3986(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, char => '%' + char.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// options: { bucket, accessKeyId, secretAccessKey, pageSize?, forbidMissing? }
+// where forbidMissing answers 403 instead of 404 for missing keys, like S3
+// does for callers without ListBucket permission.
+// Resolves with { endpoint, objects, requests, close() }.
+function startFakeS3(options) {
+  const objects = new Map(); // key -> { data, modified, headers }
+  const requests = [];
+  const pageSize = options.pageSize || 1000;
+
+  // Null when the signature matches, otherwise why not
+  function checkSignature(req, url, body) {
+    const match = (req.headers.authorization || '').match(
+      /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/);
+    if (!match) return 'missing authorization';
+    const [, accessKeyId, dateStamp, region, signedHeaders, signature] = match;
+    if (accessKeyId !== options.accessKeyId) return 'unknown access key';
+    if (req.headers['x-amz-content-sha256'] !== sha256Hex(body)) return 'payload hash mismatch';
+
+    const query = Array.from(url.searchParams).sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0))
+      .map(([key, value]) => `${encodeRfc3986(key)}=${encodeRfc3986(value)}`)
+      .join('&');
+    const canonicalRequest = [
+      req.method,
+      url.pathname,
+      query,
+      signedHeaders.split(';').map(name => `${name}:${String(req.headers[name]).trim()}\n`).join(''),
+      signedHeaders,
+      req.headers['x-amz-content-sha256']
+    ].join('\n');
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join('\n');
+
+    let signingKey = hmac('AWS4' + options.secretAccessKey, dateStamp);
+    for (const part of [region, 's3', 'aws4_request']) {
+      signingKey = hmac(signingKey, part);
+    }
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex') === signature ? null : 'signature mismatch';
+  }
+
+  function sendError(res, status, code, message) {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(`<Error><Code>${code}</Code><Message>${escapeXml(message)}</Message></Error>`);
+  }
+
+  function listObjects(res, url) {
+    const prefix = url.searchParams.get('prefix') || '';
+    const keys = Array.from(objects.keys()).filter(key => key.startsWith(prefix)).sort();
+    const start = parseInt(url.searchParams.get('continuation-token') || '0', 10);
+    const page = keys.slice(start, start + pageSize);
+    const truncated = start + pageSize < keys.length;
+
+    const contents = page.map(key => '<Contents>' +
+      `<Key>${escapeXml(key)}</Key>` +
+      `<LastModified>${new Date(objects.get(key).modified).toISOString()}</LastModified>` +
+      `<Size>${objects.get(key).data.length}</Size>` +
+      '</Contents>').join('');
+    res.writeHead(200, { 'content-type': 'application/xml' });
+    res.end(`<ListBucketResult>${contents}<IsTruncated>${truncated}</IsTruncated>` +
+      (truncated ? `<NextContinuationToken>${start + pageSize}</NextContinuationToken>` : '') +
+      '</ListBucketResult>');
+  }
+
+  function handle(req, res, body) {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname, query: url.search, range: req.headers.range || null });
+
+    const problem = checkSignature(req, url, body);
+    if (problem) return sendError(res, 403, 'SignatureDoesNotMatch', problem);
+
+    const [bucket, ...keyParts] = url.pathname.slice(1).split('/');
+    if (bucket !== options.bucket) return sendError(res, 404, 'NoSuchBucket', bucket);
+    const key = keyParts.map(decodeURIComponent).join('/');
+
+    if (!key) {
+      return req.method === 'GET' ? listObjects(res, url) : sendError(res, 405, 'MethodNotAllowed', req.method);
+    }
+
+    if (req.method === 'PUT') {
+      const headers = { 'content-type': req.headers['content-type'] };
+      for (const [name, value] of Object.entries(req.headers)) {
+        if (name.startsWith('x-amz-meta-')) headers[name] = value;
+      }
+      objects.set(key, { data: body, modified: Date.now(), headers: headers });
+      res.writeHead(200);
+      return res.end();
+    }
+
+    if (req.method === 'DELETE') {
+      objects.delete(key);
+      res.writeHead(204);
+      return res.end();
+    }
+
+    const object = objects.get(key);
+    if (!object) {
+      const status = options.forbidMissing ? 403 : 404;
+      if (req.method === 'HEAD') {
+        res.writeHead(status);
+        return res.end();
+      }
+      return sendError(res, status, options.forbidMissing ? 'AccessDenied' : 'NoSuchKey', key);
+    }
+
+    const headers = Object.assign({}, object.headers, { 'last-modified': new Date(object.modified).toUTCString() });
+    const range = (req.headers.range || '').match(/^bytes=(\d+)-(\d*)$/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? Math.min(parseInt(range[2], 10), object.data.length - 1) : object.data.length - 1;
+      res.writeHead(206, Object.assign(headers, {
+        'content-length': end - start + 1,
+        'content-range': `bytes ${start}-${end}/${object.data.length}`
+      }));
+      return res.end(req.method === 'HEAD' ? undefined : object.data.subarray(start, end + 1));
+    }
+
+    res.writeHead(200, Object.assign(headers, { 'content-length': object.data.length }));
+    res.end(req.method === 'HEAD' ? undefined : object.data);
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => handle(req, res, Buffer.concat(chunks)));
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        objects: objects,
+        requests: requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = {
+  startFakeS3
+};
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { alignLyrics, untimedLines } = require('../lib/lyricsAligner');
+const { decodeAudio, probeAudio } = require('../lib/audioDecoder');
+
+const sampleRate = 16000;
+
+// A 1 kHz tone, in the vocal band, during each [start, end) in seconds
+function tones(duration, bursts) {
+  const samples = new Float32Array(Math.round(duration * sampleRate));
+  for (const [start, end] of bursts) {
+    for (let i = Math.round(start * sampleRate); i < Math.round(end * sampleRate); i++) {
+      samples[i] = 0.5 * Math.sin(2 * Math.PI * 1000 * i / sampleRate);
+    }
+  }
+  return samples;
+}
+
+// 16-bit PCM WAV with the given channels interleaved
+function wav(channels) {
+  const frames = channels[0].length;
+  const data = Buffer.alloc(frames * channels.length * 2);
+  for (let i = 0; i < frames; i++) {
+    channels.forEach((channel, c) => data.writeInt16LE(Math.round(channel[i] * 32767), (i * channels.length + c) * 2));
+  }
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels.length, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels.length * 2, 28);
+  header.writeUInt16LE(channels.length * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+test('places each line at the start of a sung phrase', () => {
+  const samples = tones(12, [[1, 3], [5, 7], [9, 11]]);
+  const result = alignLyrics(samples, sampleRate, ['First phrase', 'Second phrase', 'Third phrase']);
+
+  assert.strictEqual(result.segments.length, 3);
+  result.lines.forEach((line, index) => {
+    assert.ok(Math.abs(line.timestamp - [1, 5, 9][index]) <= 0.15, `line ${index} at ${line.timestamp}`);
+  });
+  assert.deepStrictEqual(result.lines.map(line => line.text), ['First phrase', 'Second phrase', 'Third phrase']);
+});
+
+test('keeps lines in order and apart when there are more lines than phrases', () => {
+  const result = alignLyrics(tones(6, [[1, 5]]), sampleRate, ['a', 'bb', 'ccc', 'dddd']);
+  const times = result.lines.map(line => line.timestamp);
+  for (let i = 1; i < times.length; i++) {
+    assert.ok(times[i] - times[i - 1] >= 0.3 - 1e-9, `${times[i - 1]} then ${times[i]}`);
+  }
+  assert.ok(times[0] >= 0.85 && times[3] < 5);
+});
+
+test('spreads the lines over the whole track when nothing is sung', () => {
+  const result = alignLyrics(new Float32Array(8 * sampleRate), sampleRate, ['one', 'two']);
+  assert.deepStrictEqual(result.segments, []);
+  assert.deepStrictEqual(result.lines.map(line => line.timestamp), [0, 4]);
+});
+
+test('takes the lyric rows of an untimed file', () => {
+  assert.deepStrictEqual(untimedLines('\uFEFF[ti: Song]\r\nFirst line\r\n\r\n  Second line  \n[ar: Someone]\n'),
+    ['First line', 'Second line']);
+});
+
+test('decodes PCM WAV to mono and reads its length from the header', () => {
+  const left = tones(0.5, [[0, 0.5]]);
+  const right = new Float32Array(left.length);
+  const buffer = wav([left, right]);
+
+  const decoded = decodeAudio(buffer);
+  assert.strictEqual(decoded.sampleRate, sampleRate);
+  assert.strictEqual(decoded.samples.length, left.length);
+  assert.ok(Math.abs(decoded.samples[4] - left[4] / 2) < 1e-3);
+
+  assert.deepStrictEqual(probeAudio(buffer), { format: 'wav', sampleRate: sampleRate, duration: 0.5 });
+  assert.strictEqual(probeAudio(Buffer.from('ID3 not audio we decode')), null);
+  assert.throws(() => decodeAudio(Buffer.from('not audio')), /not supported for analysis/);
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffLyrics } = require('../lib/lyricsDiff');
+const { listLyricsRevisions } = require('../lib/songStore');
+
+const lines = (...rows) => rows.map(([timestamp, text, singer]) => (singer ? { timestamp, text, singer } : { timestamp, text }));
+
+test('identical lyrics have no changes', () => {
+  const same = lines([1, 'One'], [2, 'Two']);
+  assert.deepStrictEqual(diffLyrics(same, same), {
+    text: [],
+    timing: [],
+    summary: { added: 0, removed: 0, changed: 0, retimed: 0 }
+  });
+});
+
+test('reports text edits and timing shifts separately', () => {
+  const before = lines([1, 'One'], [2, 'Two'], [3, 'Three'], [4, 'Four']);
+  const after = lines([1, 'One'], [2.5, 'Two'], [3, 'Thre'], [5, 'Five'], [6, 'Four']);
+
+  const diff = diffLyrics(before, after);
+  assert.deepStrictEqual(diff.text, [
+    { type: 'changed', from: { index: 2, timestamp: 3, text: 'Three' }, to: { index: 2, timestamp: 3, text: 'Thre' } },
+    { type: 'added', from: null, to: { index: 3, timestamp: 5, text: 'Five' } }
+  ]);
+  assert.deepStrictEqual(diff.timing, [
+    { from: { index: 1, timestamp: 2, text: 'Two' }, to: { index: 1, timestamp: 2.5, text: 'Two' }, shift: 0.5 },
+    { from: { index: 3, timestamp: 4, text: 'Four' }, to: { index: 4, timestamp: 6, text: 'Four' }, shift: 2 }
+  ]);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 0, changed: 1, retimed: 2 });
+});
+
+test('ignores shifts within the tolerance and tells singers apart', () => {
+  const diff = diffLyrics(lines([1, 'Hey', 'M'], [2, 'Ho']), lines([1.005, 'Hey', 'F'], [2.005, 'Ho']));
+  assert.deepStrictEqual(diff.summary, { added: 0, removed: 0, changed: 1, retimed: 0 });
+  assert.strictEqual(diff.text[0].to.singer, 'F');
+
+  assert.strictEqual(diffLyrics(lines([1, 'Ho']), lines([1.005, 'Ho']), { tolerance: 0.001 }).summary.retimed, 1);
+});
+
+test('lists removed lines', () => {
+  const diff = diffLyrics(lines([1, 'One'], [2, 'Two']), lines([2, 'Two']));
+  assert.deepStrictEqual(diff.text, [{ type: 'removed', from: { index: 0, timestamp: 1, text: 'One' }, to: null }]);
+});
+
+test('lists revisions oldest first by date, whatever the version order', () => {
+  const revision = (id, date) => ({ id: id, author: null, comment: id, date: date });
+  const song = {
+    lyricsFile: 'd.lrc',
+    lyricsRevision: revision('d', '2026-01-04T00:00:00.000Z'),
+    versions: [
+      { id: 'c', kind: 'lyrics', lyricsFile: 'c.lrc', lyricsRevision: revision('c', '2026-01-03T00:00:00.000Z') },
+      { id: 'x', kind: 'audio', audioFile: 'x.mp3' },
+      { id: 'legacy', kind: 'lyrics', lyricsFile: 'legacy.lrc' },
+      { id: 'a', kind: 'lyrics', lyricsFile: 'a.lrc', lyricsRevision: revision('a', '2026-01-01T00:00:00.000Z') }
+    ]
+  };
+
+  const revisions = listLyricsRevisions(song);
+  assert.deepStrictEqual(revisions.map(item => [item.id, item.lyricsFile, item.current]), [
+    ['legacy', 'legacy.lrc', false],
+    ['a', 'a.lrc', false],
+    ['c', 'c.lrc', false],
+    ['d', 'd.lrc', true]
+  ]);
+});
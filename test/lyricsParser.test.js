@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLyrics } = require('../lib/lyricsParser');
+
+function assertTimes(actual, expected) {
+  assert.strictEqual(actual.length, expected.length);
+  actual.forEach((time, index) => assert.ok(Math.abs(time - expected[index]) < 1e-9, `${time} is not ${expected[index]}`));
+}
+
+test('reads two- and three-digit fractions and the ID tags', () => {
+  const parsed = parseLyrics([
+    '[ti: Song Title]',
+    '[ar:Someone]',
+    '[al: Album]',
+    '[length: 03:25]',
+    '[00:12.5]Half',
+    '[00:12.34]Hundredths',
+    '[00:12.345]Thousandths'
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'lrc');
+  assert.deepStrictEqual(
+    { title: parsed.metadata.title, artist: parsed.metadata.artist, album: parsed.metadata.album, length: parsed.metadata.length },
+    { title: 'Song Title', artist: 'Someone', album: 'Album', length: 205 });
+  assertTimes(parsed.lines.map(line => line.timestamp), [12.34, 12.345, 12.5]);
+});
+
+test('expands a line stamped at several times, in time order', () => {
+  const parsed = parseLyrics('[00:30.00][00:10.00]Chorus\n[00:20.00]Verse\n');
+  assert.deepStrictEqual(parsed.lines.map(line => [line.timestamp, line.text]), [
+    [10, 'Chorus'],
+    [20, 'Verse'],
+    [30, 'Chorus']
+  ]);
+});
+
+test('a positive offset makes lines appear sooner, a negative one later', () => {
+  const sooner = parseLyrics('[offset: +500]\n[00:10.00]Line\n');
+  assert.strictEqual(sooner.metadata.offset, 500);
+  assertTimes(sooner.lines.map(line => line.timestamp), [9.5]);
+
+  const later = parseLyrics('[offset:-1500]\n[00:10.00]Line\n');
+  assert.strictEqual(later.metadata.offset, -1500);
+  assertTimes(later.lines.map(line => line.timestamp), [11.5]);
+
+  // Never before the start of the song
+  assertTimes(parseLyrics('[offset:2000]\n[00:01.00]Line\n').lines.map(line => line.timestamp), [0]);
+});
+
+test('reads word stamps, shifting them with repeats and the offset', () => {
+  const parsed = parseLyrics('[offset:1000]\n[00:10.00][00:20.00]<00:10.00>Hel<00:10.50>lo <00:11.00>world<00:12.00>\n');
+
+  assert.strictEqual(parsed.lines.length, 2);
+  const [first, second] = parsed.lines;
+  assert.strictEqual(first.text, 'Hello world');
+  assert.deepStrictEqual(first.words.map(word => word.text), ['Hel', 'lo ', 'world']);
+  assertTimes(first.words.map(word => word.time), [9, 9.5, 10]);
+  assertTimes([first.endTime], [11]);
+  assertTimes(second.words.map(word => word.time), [19, 19.5, 20]);
+  assertTimes([second.endTime], [21]);
+});
+
+test('an empty stamp ends the line before it', () => {
+  const parsed = parseLyrics('[00:01.00]One\n[00:03.00]\n[00:05.00]Two\n');
+  assert.deepStrictEqual(parsed.lines.map(line => [line.text, line.endTime]), [['One', 3], ['Two', undefined]]);
+});
+
+test('reports the rows it drops', () => {
+  const parsed = parseLyrics('[00:01.00]One\nnot a lyric\n[00:02.00]Two\n');
+  assert.deepStrictEqual(parsed.skipped, [{ lineNumber: 2, reason: 'unparseable', text: 'not a lyric' }]);
+});
+
+test('reads a WebVTT header after blank and BOM-only lines', () => {
+  const parsed = parseLyrics('\uFEFF\n\nWEBVTT - My Song\n\n00:00:01.000 --> 00:00:03.000\nHello\n');
+  assert.strictEqual(parsed.format, 'vtt');
+  assert.strictEqual(parsed.metadata.title, 'My Song');
+  assert.deepStrictEqual(parsed.lines, [{ timestamp: 1, endTime: 3, text: 'Hello', lineNumber: 6 }]);
+  assert.deepStrictEqual(parsed.skipped, []);
+});
+
+test('reads SRT cues: CRLF, hours, multi-line text and markup', () => {
+  const parsed = parseLyrics([
+    '1',
+    '00:00:01,000 --> 00:00:02,500',
+    '<i>First</i> line',
+    'continued',
+    '',
+    '2',
+    '01:00:03,250 --> 01:00:04,000',
+    '{\\an8}Second &amp; last',
+    ''
+  ].join('\r\n'));
+
+  assert.strictEqual(parsed.format, 'srt');
+  assert.deepStrictEqual(parsed.lines, [
+    { timestamp: 1, endTime: 2.5, text: 'First line continued', lineNumber: 3 },
+    { timestamp: 3603.25, endTime: 3604, text: 'Second & last', lineNumber: 8 }
+  ]);
+});
+
+test('skips WebVTT notes, styles, cue ids and settings, and reports empty cues', () => {
+  const parsed = parseLyrics([
+    'WEBVTT',
+    '',
+    'NOTE a comment',
+    '00:00:09.000 --> 00:00:10.000 is not a cue here',
+    '',
+    'STYLE',
+    '::cue { color: red }',
+    '',
+    'intro',
+    '00:01.000 --> 00:02.000 align:start position:10%',
+    '<v Singer>Hello</v>',
+    '',
+    '00:03.000 --> 00:04.000',
+    '<i></i>',
+    ''
+  ].join('\n'));
+
+  assert.strictEqual(parsed.format, 'vtt');
+  assert.strictEqual(parsed.metadata.title, undefined);
+  assert.deepStrictEqual(parsed.lines, [{ timestamp: 1, endTime: 2, text: 'Hello', lineNumber: 11 }]);
+  assert.deepStrictEqual(parsed.skipped, [{ lineNumber: 13, reason: 'empty', text: '00:03.000 --> 00:04.000' }]);
+});
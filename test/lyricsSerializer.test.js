@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseLyrics } = require('../lib/lyricsParser');
+const { serializeLyrics } = require('../lib/lyricsSerializer');
+
+function roundTrip(content, format) {
+  return parseLyrics(serializeLyrics(parseLyrics(content), format));
+}
+
+test('singer markers survive an LRC round trip, including back to none', () => {
+  const lrc = [
+    '[00:01.00]Intro',
+    '[00:02.00]M: His line',
+    '[00:03.00]Still his',
+    '[00:04.00]F: Her line',
+    '[00:05.00]-: Nobody in particular',
+    '[00:06.00]D: Together'
+  ].join('\n');
+
+  const serialized = serializeLyrics(parseLyrics(lrc), 'lrc');
+  assert.ok(serialized.includes('[00:05.00]-: Nobody in particular'));
+  assert.ok(serialized.includes('[00:03.00]Still his'));
+
+  const lines = roundTrip(lrc, 'lrc').lines;
+  assert.deepStrictEqual(lines.map(line => [line.text, line.singer]), [
+    ['Intro', undefined],
+    ['His line', 'M'],
+    ['Still his', 'M'],
+    ['Her line', 'F'],
+    ['Nobody in particular', undefined],
+    ['Together', 'D']
+  ]);
+});
+
+test('SRT to LRC keeps cue end times as clearing stamps', () => {
+  const srt = '1\n00:00:01,000 --> 00:00:02,000\nOne\n\n2\n00:00:05,000 --> 00:00:06,000\nTwo\n';
+  assert.strictEqual(serializeLyrics(parseLyrics(srt), 'lrc'),
+    '[00:01.00]One\n[00:02.00]\n[00:05.00]Two\n[00:06.00]\n');
+
+  const lines = roundTrip(srt, 'lrc').lines;
+  assert.deepStrictEqual(lines.map(line => [line.timestamp, line.endTime, line.text]), [[1, 2, 'One'], [5, 6, 'Two']]);
+});
+
+test('LRC to SRT ends cues at the next line, four seconds at most', () => {
+  const lrc = '[00:01.00]One\n[00:03.00]Two\n[01:00.00]Three\n';
+  assert.strictEqual(serializeLyrics(parseLyrics(lrc), 'srt'), [
+    '1', '00:00:01,000 --> 00:00:03,000', 'One', '',
+    '2', '00:00:03,000 --> 00:00:07,000', 'Two', '',
+    '3', '00:01:00,000 --> 00:01:04,000', 'Three', ''
+  ].join('\n'));
+});
+
+test('WebVTT export keeps the title and millisecond times', () => {
+  const lrc = '[ti: My Song]\n[00:01.234]One\n';
+  const vtt = serializeLyrics(parseLyrics(lrc), 'vtt');
+  assert.strictEqual(vtt, 'WEBVTT - My Song\n\n00:00:01.234 --> 00:00:05.234\nOne\n');
+
+  const parsed = roundTrip(lrc, 'vtt');
+  assert.strictEqual(parsed.metadata.title, 'My Song');
+  assert.deepStrictEqual(parsed.lines.map(line => [line.timestamp, line.text]), [[1.234, 'One']]);
+});
+
+test('refuses unknown export formats', () => {
+  assert.throws(() => serializeLyrics({ metadata: {}, lines: [] }, 'ass'), /Unsupported export format: ass/);
+});
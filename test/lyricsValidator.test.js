@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateLyrics } = require('../lib/lyricsValidator');
+
+// [line, code] of every warning, in the order reported
+function codes(report) {
+  return report.warnings.map(warning => [warning.line, warning.code]);
+}
+
+test('a clean file has no warnings', () => {
+  const report = validateLyrics('[ti: Song]\n[00:01.00]One\n[00:03.00]Two\n', { duration: 10, title: 'Song' });
+  assert.deepStrictEqual(report, { format: 'lrc', lineCount: 2, warnings: [] });
+});
+
+test('reports dropped, empty, out-of-order and duplicate lines by line number', () => {
+  const report = validateLyrics([
+    '[00:05.00]Five',
+    'no stamp here',
+    '[00:02.00]Two',
+    '[00:02.00]Two again',
+    '[00:06.00]M: His',
+    '[00:06.00]F: Hers',
+    '7 seven'
+  ].join('\n'));
+
+  assert.deepStrictEqual(codes(report), [
+    [2, 'unparseable'],
+    [3, 'out-of-order'],
+    [4, 'duplicate-timestamp'],
+    [7, 'mixed-format']
+  ]);
+  assert.strictEqual(report.warnings[0].severity, 'warning');
+  assert.match(report.warnings[0].message, /"no stamp here"/);
+  assert.strictEqual(report.warnings[1].severity, 'info');
+});
+
+test('reports long gaps and lines past the end of the audio or [length:]', () => {
+  const content = '[length: 01:00]\n[00:01.00]One\n[00:50.00]Two\n[01:30.00]Three\n';
+
+  assert.deepStrictEqual(codes(validateLyrics(content)), [
+    [3, 'long-gap'],
+    [4, 'long-gap'],
+    [4, 'past-end']
+  ]);
+  const withAudio = validateLyrics(content, { duration: 120, longGap: 60 });
+  assert.deepStrictEqual(codes(withAudio), [[1, 'metadata-mismatch']]);
+  assert.match(withAudio.warnings[0].message, /\[length:\] is 1:00\.00 but the audio is 2:00\.00 long/);
+});
+
+test('checks the title and artist headers against the audio tags, loosely', () => {
+  const content = '[ti: Song (Remastered)]\n[ar: Somebody]\n[00:01.00]One\n';
+  assert.deepStrictEqual(codes(validateLyrics(content, { title: 'song', artist: 'SOMEBODY' })), []);
+  assert.deepStrictEqual(codes(validateLyrics(content, { title: 'Other Song', artist: 'Somebody' })), [[1, 'metadata-mismatch']]);
+});
+
+test('flags empty cues and files with no timing at all', () => {
+  assert.deepStrictEqual(codes(validateLyrics('1\n00:00:01,000 --> 00:00:02,000\n\n2\n00:00:03,000 --> 00:00:04,000\nTwo\n')),
+    [[2, 'empty-line']]);
+
+  const untimed = validateLyrics('Just some\nwords\n');
+  assert.deepStrictEqual(untimed, {
+    format: 'plain',
+    lineCount: 0,
+    warnings: [{ line: null, code: 'no-timestamps', severity: 'warning', message: 'No timed lines found; the lyrics need syncing before they can be played' }]
+  });
+});
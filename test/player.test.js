@@ -0,0 +1,108 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The player is a browser script; load its class into a sandbox with just
+// enough of the DOM for playback control, and animation frames that only
+// run when the test says so.
+function loadPlayerClass(frames) {
+  const element = () => ({ style: {}, textContent: '', classList: { contains: () => false } });
+  let nextFrame = 1;
+  const sandbox = {
+    console: console,
+    URLSearchParams: URLSearchParams,
+    setInterval: () => 0,
+    clearInterval: () => {},
+    requestAnimationFrame: callback => {
+      const id = nextFrame++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame: id => frames.delete(id),
+    document: { addEventListener: () => {}, getElementById: element },
+    window: { history: { replaceState: () => {} }, location: { search: '' } }
+  };
+  const source = fs.readFileSync(path.join(__dirname, '..', 'public', 'player.js'), 'utf8');
+  vm.runInNewContext(source + '\nthis.KaraokePlayer = KaraokePlayer;', sandbox);
+  return sandbox.KaraokePlayer;
+}
+
+function runFrame(frames) {
+  const callbacks = Array.from(frames.values());
+  frames.clear();
+  callbacks.forEach(callback => callback());
+}
+
+test('skipping songs from the remote leaves one lyrics loop running', async () => {
+  const frames = new Map();
+  const KaraokePlayer = loadPlayerClass(frames);
+
+  // Skip the constructor and its DOM setup; stub what playback touches
+  const player = Object.create(KaraokePlayer.prototype);
+  Object.assign(player, {
+    isPlaying: false,
+    animationFrame: null,
+    visualizerFrame: null,
+    renderer: { element: {} },
+    audioElement: { play: () => Promise.resolve(), pause: () => {}, currentTime: 0 },
+    publishState: () => {},
+    updateLyricsDisplay: () => {},
+    updateSheet: () => {},
+    updateBackground: () => {},
+    applyVoice: () => {},
+    updatePartner: () => {},
+    updateTrackLines: () => {},
+    loadSong: async () => {},
+    sendJson: async () => ({ current: { id: 'e1', songId: 'song-2' } })
+  });
+  let rendered = 0;
+  player.renderLyricsAt = () => {
+    rendered++;
+    return -1;
+  };
+
+  player.play();
+  await new Promise(resolve => setImmediate(resolve));
+  for (let i = 0; i < 3; i++) {
+    player.handleCommand({ type: 'nextSong' });
+    await new Promise(resolve => setImmediate(resolve));
+  }
+
+  rendered = 0;
+  runFrame(frames);
+  assert.strictEqual(rendered, 1);
+  // One lyrics frame and one visualizer frame waiting, nothing else
+  assert.strictEqual(frames.size, 2);
+  assert.strictEqual(player.isPlaying, true);
+});
+
+test('nudging a line stops short of the lines around it', () => {
+  const KaraokePlayer = loadPlayerClass(new Map());
+  const player = Object.create(KaraokePlayer.prototype);
+  Object.assign(player, {
+    lyrics: [
+      { timestamp: 1, text: 'One' },
+      { timestamp: 2, text: 'Two', words: [{ time: 2, text: 'Two' }], endTime: 2.5 },
+      { timestamp: 3, text: 'Three' }
+    ],
+    currentLyricIndex: 1,
+    renderer: { renderLine: () => {} },
+    updateOffsetDisplay: () => {}
+  });
+
+  player.nudgeCurrentLine(5000);
+  assert.strictEqual(player.lyrics[1].timestamp, 2.99);
+  assert.strictEqual(player.lyrics[1].words[0].time, 2.99);
+  assert.ok(player.lyrics[1].endTime > 3.48 && player.lyrics[1].endTime < 3.5);
+
+  player.nudgeCurrentLine(-5000);
+  assert.strictEqual(player.lyrics[1].timestamp, 1.01);
+  assert.deepStrictEqual(player.lyrics.map(lyric => lyric.text), ['One', 'Two', 'Three']);
+  assert.strictEqual(player.linesNudged, true);
+
+  player.currentLyricIndex = 0;
+  player.nudgeCurrentLine(-5000);
+  assert.strictEqual(player.lyrics[0].timestamp, 0);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { createS3Storage } = require('../lib/s3Storage');
+const { startFakeS3 } = require('./fakeS3');
+
+const credentials = { bucket: 'karaoke', accessKeyId: 'test-key', secretAccessKey: 'test-secret' };
+
+// Run fn(storage, fake) against a fresh fake service
+async function withFakeS3(fakeOptions, storageOptions, fn) {
+  const fake = await startFakeS3(Object.assign({}, credentials, fakeOptions));
+  try {
+    const storage = createS3Storage(Object.assign({}, credentials, { endpoint: fake.endpoint, forcePathStyle: true }, storageOptions));
+    await fn(storage, fake);
+  } finally {
+    await fake.close();
+  }
+}
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+test('stores, reads, streams ranges of and deletes objects', async () => {
+  await withFakeS3({}, { prefix: 'uploads/' }, async (storage, fake) => {
+    const content = Buffer.from('[00:01.00]Hello\n[00:05.00]World\n');
+    const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+    await storage.put('1-song (live).lrc', content, { contentType: 'text/plain', metadata: { sha256: sha256 } });
+    assert.ok(fake.objects.has('uploads/1-song (live).lrc'));
+
+    assert.deepStrictEqual(await storage.get('1-song (live).lrc'), content);
+    assert.strictEqual(await storage.exists('1-song (live).lrc'), true);
+
+    const stats = await storage.stat('1-song (live).lrc');
+    assert.strictEqual(stats.size, content.length);
+    assert.strictEqual(stats.metadata.sha256, sha256);
+    assert.ok(Math.abs(stats.modified - Date.now()) < 5000);
+
+    assert.strictEqual((await readAll(await storage.stream('1-song (live).lrc', { start: 10, end: 14 }))).toString(), 'Hello');
+    assert.strictEqual((await readAll(await storage.stream('1-song (live).lrc', { start: 26 }))).toString(), 'World\n');
+    assert.strictEqual(fake.requests.filter(request => request.range).length, 2);
+
+    await storage.delete('1-song (live).lrc');
+    assert.strictEqual(await storage.exists('1-song (live).lrc'), false);
+    assert.strictEqual(await storage.stat('1-song (live).lrc'), null);
+    await storage.delete('1-song (live).lrc');
+  });
+});
+
+test('lists every page under the prefix, skipping nested keys', async () => {
+  await withFakeS3({ pageSize: 2 }, { prefix: 'uploads/' }, async (storage, fake) => {
+    for (const name of ['a.mp3', 'b.lrc', 'c.srt', 'd & e.vtt', 'f.png']) {
+      await storage.put(name, Buffer.from(name));
+    }
+    await createS3Storage(Object.assign({}, credentials, { endpoint: fake.endpoint, forcePathStyle: true }))
+      .put('other.mp3', Buffer.from('outside the prefix'));
+    await storage.put('data/songs.json', Buffer.from('{}'));
+
+    const files = await storage.list();
+    assert.deepStrictEqual(files.map(file => file.filename).sort(), ['a.mp3', 'b.lrc', 'c.srt', 'd & e.vtt', 'f.png']);
+    assert.strictEqual(files.find(file => file.filename === 'd & e.vtt').size, 9);
+    assert.ok(fake.requests.filter(request => request.query.includes('continuation-token')).length >= 2);
+  });
+});
+
+test('treats 403 on HEAD as missing for buckets without list permission', async () => {
+  await withFakeS3({ forbidMissing: true }, {}, async storage => {
+    assert.strictEqual(await storage.stat('missing.mp3'), null);
+    assert.strictEqual(await storage.exists('missing.mp3'), false);
+    await assert.rejects(storage.get('missing.mp3'), error => error.statusCode === 403);
+  });
+});
+
+test('rejects with the service error when the signature does not match', async () => {
+  await withFakeS3({}, { secretAccessKey: 'wrong-secret' }, async storage => {
+    await assert.rejects(storage.put('a.mp3', Buffer.from('a')), /SignatureDoesNotMatch/);
+    await assert.rejects(storage.list(), error => error.statusCode === 403);
+  });
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PitchDetector } = require('../public/pitch.js');
+const { ScoringEngine } = require('../public/scoring.js');
+
+const sampleRate = 44100;
+const frameSize = 2048;
+const frameStep = 0.05; // seconds between analysed frames
+
+// One analysis frame of a sine wave starting at time (seconds)
+function sineFrame(frequency, time, amplitude = 0.5) {
+  const frame = new Float32Array(frameSize);
+  for (let i = 0; i < frameSize; i++) {
+    frame[i] = amplitude * Math.sin(2 * Math.PI * frequency * (time + i / sampleRate));
+  }
+  return frame;
+}
+
+// Feed frames from start to end; singerFrequency null means the singer is silent
+function sing(engine, start, end, referenceFrequency, singerFrequency) {
+  for (let time = start; time < end; time += frameStep) {
+    const singer = singerFrequency ? sineFrame(singerFrequency, time) : new Float32Array(frameSize);
+    engine.processBuffers(time, sineFrame(referenceFrequency, time), singer, sampleRate);
+  }
+}
+
+const lyrics = [
+  { timestamp: 0, text: 'first line' },
+  { timestamp: 2, text: 'second line' },
+  { timestamp: 4, text: 'third line', endTime: 6 }
+];
+
+test('PitchDetector finds the frequency of a synthetic sine', () => {
+  const result = new PitchDetector().detect(sineFrame(220, 0), sampleRate);
+  assert.ok(Math.abs(result.frequency - 220) < 1, `detected ${result.frequency} Hz`);
+});
+
+test('singing the reference pitch scores 100', () => {
+  const engine = new ScoringEngine(lyrics);
+  sing(engine, 0, 2, 220, 220);
+
+  assert.strictEqual(engine.lineScore(0), 100);
+  assert.strictEqual(engine.lineScore(1), null);
+});
+
+test('a semitone off scores partially, and the overall score averages the lines', () => {
+  const engine = new ScoringEngine(lyrics);
+  sing(engine, 0, 2, 220, 220);
+  sing(engine, 2, 4, 220, 233);
+
+  const results = engine.results();
+  assert.deepStrictEqual(results.lines.map(line => line.score), [100, 72, null]);
+  assert.strictEqual(results.overall, 86);
+});
+
+test('not singing while the track has a vocal scores zero', () => {
+  const engine = new ScoringEngine(lyrics);
+  sing(engine, 4, 6, 220, null);
+
+  assert.strictEqual(engine.lineScore(2), 0);
+  assert.strictEqual(engine.results().overall, 0);
+});
+
+test('singing an octave below the reference still counts', () => {
+  const engine = new ScoringEngine(lyrics);
+  sing(engine, 0, 2, 440, 220);
+
+  assert.strictEqual(engine.lineScore(0), 100);
+});
+
+test('frames between lines are not scored', () => {
+  const engine = new ScoringEngine(lyrics);
+  sing(engine, 6, 8, 220, 233);
+
+  assert.deepStrictEqual(engine.results(), {
+    lines: lyrics.map((lyric, index) => ({ index: index, text: lyric.text, frames: 0, score: null })),
+    overall: null
+  });
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { drivers } = require('../lib/storage');
+const { startFakeS3 } = require('./fakeS3');
+
+// Every driver in lib/storage.js runs through the same checks, so code on
+// top of storage can rely on the interface described there, not on one
+// driver's quirks. Each setup resolves with { storage, cleanup }.
+const setups = {
+  async local() {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-contract-'));
+    return {
+      storage: drivers.local({ driver: 'local', directory: directory }),
+      cleanup: async () => fs.rmSync(directory, { recursive: true, force: true })
+    };
+  },
+
+  async s3() {
+    const credentials = { bucket: 'karaoke', accessKeyId: 'test-key', secretAccessKey: 'test-secret' };
+    const fake = await startFakeS3(Object.assign({ pageSize: 2 }, credentials));
+    return {
+      storage: drivers.s3(Object.assign({ driver: 's3', endpoint: fake.endpoint, forcePathStyle: true, prefix: 'lib/' }, credentials)),
+      cleanup: () => fake.close()
+    };
+  }
+};
+
+function readAll(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+test('every driver has a setup here', () => {
+  assert.deepStrictEqual(Object.keys(setups).sort(), Object.keys(drivers).sort());
+});
+
+for (const [name, setup] of Object.entries(setups)) {
+  test(`${name} driver keeps the storage interface`, async () => {
+    const { storage, cleanup } = await setup();
+    try {
+      assert.strictEqual(typeof storage.description, 'string');
+      assert.deepStrictEqual(await storage.list(), []);
+
+      const audio = Buffer.from('0123456789abcdef');
+      await storage.put('1-track.mp3', audio, { contentType: 'audio/mpeg', metadata: { sha256: 'x' } });
+      await storage.put('2-lyrics.lrc', '[00:01.00]Hello\n');
+      await storage.put('3-cover.png', Buffer.from('png'));
+
+      assert.deepStrictEqual(await storage.get('1-track.mp3'), audio);
+      assert.strictEqual((await storage.get('2-lyrics.lrc')).toString(), '[00:01.00]Hello\n');
+      assert.strictEqual((await readAll(await storage.stream('1-track.mp3', { start: 4, end: 7 }))).toString(), '4567');
+      assert.strictEqual((await readAll(await storage.stream('1-track.mp3', { start: 12 }))).toString(), 'cdef');
+      assert.deepStrictEqual(await readAll(await storage.stream('1-track.mp3')), audio);
+
+      const stats = await storage.stat('1-track.mp3');
+      assert.strictEqual(stats.size, audio.length);
+      assert.ok(Math.abs(stats.modified - Date.now()) < 5000);
+      assert.strictEqual(typeof stats.metadata, 'object');
+      assert.strictEqual(await storage.exists('1-track.mp3'), true);
+
+      const files = await storage.list();
+      assert.deepStrictEqual(files.map(file => file.filename).sort(), ['1-track.mp3', '2-lyrics.lrc', '3-cover.png']);
+      assert.strictEqual(files.find(file => file.filename === '1-track.mp3').size, audio.length);
+
+      await storage.put('2-lyrics.lrc', '[00:02.00]Again\n');
+      assert.strictEqual((await storage.get('2-lyrics.lrc')).toString(), '[00:02.00]Again\n');
+
+      await storage.delete('1-track.mp3');
+      await storage.delete('1-track.mp3');
+      assert.strictEqual(await storage.exists('1-track.mp3'), false);
+      assert.strictEqual(await storage.stat('1-track.mp3'), null);
+      await assert.rejects(storage.get('1-track.mp3'));
+      assert.deepStrictEqual((await storage.list()).map(file => file.filename).sort(), ['2-lyrics.lrc', '3-cover.png']);
+    } finally {
+      await cleanup();
+    }
+  });
+}
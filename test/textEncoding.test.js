@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { detectEncoding, decodeText } = require('../lib/textEncoding');
+
+// Two stamped lines of real lyrics in each legacy encoding, as bytes
+const legacy = {
+  gbk: { text: '[00:01.00]我爱你在心里\n[00:03.00]月亮代表我的心', hex: '5b30303a30312e30305dced2b0aec4e3d4dad0c4c0ef0a5b30303a30332e30305dd4c2c1c1b4fab1edced2b5c4d0c4' },
+  big5: { text: '[00:01.00]我愛你在心裡\n[00:03.00]月亮代表我的心', hex: '5b30303a30312e30305da7dab752a741a662a4dfb8cc0a5b30303a30332e30305da4ebab47a54eaaeda7daaabaa4df' },
+  shift_jis: { text: '[00:01.00]さくらさくら\n[00:03.00]やよいの空は', hex: '5b30303a30312e30305d82b382ad82e782b382ad82e70a5b30303a30332e30305d82e282e682a282cc8bf382cd' },
+  'euc-kr': { text: '[00:01.00]사랑해요\n[00:03.00]나는 너를 잊지 않아', hex: '5b30303a30312e30305dbbe7b6fbc7d8bfe40a5b30303a30332e30305db3aab4c220b3cab8a620c0d8c1f620becabec6' }
+};
+
+test('a byte order mark decides the encoding and is dropped', () => {
+  const text = '[00:01.00]Héllo';
+  const utf16le = Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, 'utf16le')]);
+  const utf16be = Buffer.from(utf16le.slice(2)).swap16();
+
+  assert.deepStrictEqual(decodeText(utf16le), { text: text, encoding: 'utf-16le', source: 'bom', confidence: 1 });
+  assert.strictEqual(decodeText(Buffer.concat([Buffer.from([0xfe, 0xff]), utf16be])).text, text);
+  assert.deepStrictEqual(decodeText(Buffer.from('\uFEFF' + text)), { text: text, encoding: 'utf-8', source: 'bom', confidence: 1 });
+});
+
+test('recognises UTF-16 without a BOM and plain UTF-8', () => {
+  const text = '[00:01.00]Hello there\n[00:02.00]General Kenobi';
+  assert.strictEqual(detectEncoding(Buffer.from(text, 'utf16le')).encoding, 'utf-16le');
+  assert.strictEqual(detectEncoding(Buffer.from(text, 'utf16le').swap16()).encoding, 'utf-16be');
+  assert.deepStrictEqual(detectEncoding(Buffer.from('[00:01.00]月亮代表我的心')), { encoding: 'utf-8', source: 'detected', confidence: 1 });
+});
+
+for (const [encoding, sample] of Object.entries(legacy)) {
+  test(`detects ${encoding} lyrics`, () => {
+    const decoded = decodeText(Buffer.from(sample.hex, 'hex'));
+    assert.strictEqual(decoded.encoding, encoding);
+    assert.strictEqual(decoded.source, 'detected');
+    assert.ok(decoded.confidence >= 0.15);
+    assert.strictEqual(decoded.text, sample.text);
+  });
+}
+
+test('falls back to Windows-1252 for Western single-byte text', () => {
+  const decoded = decodeText(Buffer.from('5b30303a30312e30305d436166e92066fc72207365f16f72', 'hex'));
+  assert.deepStrictEqual(decoded, { text: '[00:01.00]Café für señor', encoding: 'windows-1252', source: 'detected', confidence: 0.5 });
+});
+
+test('an override wins over detection and must be a supported encoding', () => {
+  const bytes = Buffer.from(legacy.gbk.hex, 'hex');
+  const decoded = decodeText(bytes, ' GB18030 ');
+  assert.deepStrictEqual(decoded, { text: legacy.gbk.text, encoding: 'gb18030', source: 'override', confidence: 1 });
+  assert.throws(() => decodeText(bytes, 'klingon'), /Unsupported encoding: klingon/);
+});
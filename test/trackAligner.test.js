@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { alignTrack, defaultTolerance } = require('../lib/trackAligner');
+
+const primary = [
+  { timestamp: 1, text: 'Uno' },
+  { timestamp: 4, text: 'Dos' },
+  { timestamp: 8, text: 'Tres' }
+];
+
+test('matches each track line to the nearest primary line', () => {
+  const result = alignTrack(primary, [
+    { timestamp: 1.2, text: 'One' },
+    { timestamp: 3.5, text: 'Two' },
+    { timestamp: 8.9, text: 'Three' }
+  ]);
+  assert.deepStrictEqual(result, { lines: ['One', 'Two', 'Three'], unmatched: 0 });
+});
+
+test('joins two track lines for one primary line and leaves gaps empty', () => {
+  const result = alignTrack(primary, [
+    { timestamp: 1, text: 'One,' },
+    { timestamp: 1.5, text: 'then' }
+  ]);
+  assert.deepStrictEqual(result, { lines: ['One, then', null, null], unmatched: 0 });
+});
+
+test('counts track lines too far from every primary line', () => {
+  assert.strictEqual(defaultTolerance, 1.5);
+  assert.deepStrictEqual(alignTrack(primary, [{ timestamp: 12, text: 'Late' }]), { lines: [null, null, null], unmatched: 1 });
+  assert.deepStrictEqual(alignTrack(primary, [{ timestamp: 12, text: 'Late' }], 5), { lines: [null, null, 'Late'], unmatched: 0 });
+  assert.deepStrictEqual(alignTrack([], [{ timestamp: 1, text: 'Alone' }]), { lines: [], unmatched: 1 });
+});
+
+test('a track line halfway between two primary lines goes to the earlier one', () => {
+  assert.deepStrictEqual(alignTrack(primary, [{ timestamp: 6, text: 'Between' }], 2).lines, [null, 'Between', null]);
+});